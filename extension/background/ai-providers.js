@@ -0,0 +1,165 @@
+// ============================================================
+// RTE - AI Provider Registry
+// Each provider declares its endpoint, auth headers, request
+// body builder and response / stream-token extractors. The
+// service worker only talks to AI backends through this table,
+// so adding a backend never touches callAI or streamSSE.
+// ============================================================
+
+const providers = new Map();
+
+export const DEFAULT_PROVIDER_ID = 'openai';
+
+/**
+ * Register a provider. Later registrations with the same id replace earlier ones.
+ * @param {object} provider
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Look up a provider by id, falling back to the default provider.
+ */
+export function getProvider(id) {
+  return providers.get(id) || providers.get(DEFAULT_PROVIDER_ID);
+}
+
+/**
+ * Serializable provider descriptors for the options page.
+ * @returns {Array<{id: string, label: string, description: string, fields: object[]}>}
+ */
+export function listProviders() {
+  return [...providers.values()].map(p => ({
+    id: p.id, label: p.label, description: p.description, fields: p.fields,
+  }));
+}
+
+/**
+ * Every settings key any provider reads (API keys, base URLs, model names).
+ */
+export function getProviderSettingsKeys() {
+  const keys = new Set();
+  for (const p of providers.values()) for (const f of p.fields) keys.add(f.key);
+  return [...keys];
+}
+
+/**
+ * Resolve the provider selected in settings together with its config.
+ * @returns {{provider: object, config: object} | null} null when not configured
+ */
+export function resolveProvider(settings, id = settings.aiProvider) {
+  const provider = getProvider(id);
+  const config = provider.resolveConfig(settings);
+  return provider.isConfigured(config) ? { provider, config } : null;
+}
+
+/**
+ * The model id and output-token limit a request will use, after per-mode overrides.
+ */
+export function resolveModel({ provider, config }, params = {}) {
+  return {
+    model: params.model || config.model || provider.defaults.model || '',
+    maxTokens: params.maxTokens || provider.defaults.maxTokens,
+  };
+}
+
+const MAX_TEMPERATURE = 2;  // OpenAI's ceiling; providers with a lower one declare maxTemperature
+
+/**
+ * Build the fetch() arguments for a chat request.
+ * A per-mode temperature above the provider's ceiling is clamped to it, so a
+ * setting made for one provider does not fail every request on the fallback.
+ * @param {{provider: object, config: object}} target
+ * @param {{system: string, messages: Array<{role: string, content: string}>, stream?: boolean}} params
+ */
+export function buildRequest({ provider, config }, params) {
+  const merged = {
+    ...provider.defaults,
+    ...(config.model ? { model: config.model } : {}),
+    ...params,
+  };
+  if (typeof merged.temperature === 'number') {
+    merged.temperature = Math.min(merged.temperature, provider.maxTemperature ?? MAX_TEMPERATURE);
+  }
+  const body = provider.buildBody(merged);
+  return {
+    url: provider.endpoint(config),
+    init: { method: 'POST', headers: provider.headers(config), body: JSON.stringify(body) },
+  };
+}
+
+// ── OpenAI-style chat completions (shared by OpenAI and compatible servers) ──
+const openAIChat = {
+  buildBody: ({ model, system, messages, temperature, maxTokens, stream }) => ({
+    model,
+    messages: [{ role: 'system', content: system }, ...messages],
+    temperature,
+    max_tokens: maxTokens,
+    ...(stream ? { stream: true } : {}),
+  }),
+  extractText: (json) => json.choices?.[0]?.message?.content ?? '',
+  extractStreamToken: (p) => p.choices?.[0]?.delta?.content,
+  extractError: (json) => json.error?.message,
+};
+
+function trimBaseUrl(url) {
+  return (url || '').trim().replace(/\/+$/, '');
+}
+
+// ── Built-in providers ──
+registerProvider({
+  id: 'openai',
+  label: 'OpenAI',
+  description: 'GPT-4o for high-quality responses',
+  fields: [
+    { key: 'openaiKey', label: 'OpenAI API Key', type: 'password', placeholder: 'sk-...', helpUrl: 'https://platform.openai.com/api-keys' },
+  ],
+  defaults: { model: 'gpt-4o', temperature: 0.4, maxTokens: 1024 },
+  resolveConfig: (s) => ({ key: s.openaiKey }),
+  isConfigured: (c) => !!c.key,
+  endpoint: () => 'https://api.openai.com/v1/chat/completions',
+  headers: (c) => ({ 'Content-Type': 'application/json', 'Authorization': `Bearer ${c.key}` }),
+  ...openAIChat,
+});
+
+registerProvider({
+  id: 'anthropic',
+  label: 'Anthropic',
+  description: 'Claude for nuanced analysis',
+  fields: [
+    { key: 'anthropicKey', label: 'Anthropic API Key', type: 'password', placeholder: 'sk-ant-...', helpUrl: 'https://console.anthropic.com/settings/keys' },
+  ],
+  defaults: { model: 'claude-sonnet-4-20250514', maxTokens: 1024 },
+  maxTemperature: 1,
+  resolveConfig: (s) => ({ key: s.anthropicKey }),
+  isConfigured: (c) => !!c.key,
+  endpoint: () => 'https://api.anthropic.com/v1/messages',
+  headers: (c) => ({ 'Content-Type': 'application/json', 'x-api-key': c.key, 'anthropic-version': '2023-06-01', 'anthropic-dangerous-direct-browser-access': 'true' }),
+  buildBody: ({ model, system, messages, temperature, maxTokens, stream }) => ({
+    model, max_tokens: maxTokens, temperature, system, messages,
+    ...(stream ? { stream: true } : {}),
+  }),
+  extractText: (json) => json.content?.[0]?.text ?? '',
+  extractStreamToken: (p) => (p.type === 'content_block_delta' ? p.delta?.text : null),
+  extractError: (json) => json.error?.message,
+});
+
+// Any server exposing POST {baseUrl}/chat/completions — Ollama, llama.cpp,
+// vLLM, LM Studio. Lets confidential calls stay on a self-hosted machine.
+registerProvider({
+  id: 'openai-compatible',
+  label: 'OpenAI-compatible (self-hosted)',
+  description: 'Ollama, llama.cpp or any server with a /v1/chat/completions endpoint',
+  fields: [
+    { key: 'compatibleBaseUrl', label: 'Base URL', type: 'url', placeholder: 'http://localhost:11434/v1', hint: 'The URL that /chat/completions is appended to.' },
+    { key: 'compatibleModel', label: 'Model', type: 'text', placeholder: 'llama3.1:8b', hint: 'Model name as the server knows it.' },
+    { key: 'compatibleKey', label: 'API Key (optional)', type: 'password', placeholder: 'Leave empty if the server has no auth' },
+  ],
+  defaults: { temperature: 0.4, maxTokens: 1024 },
+  resolveConfig: (s) => ({ key: s.compatibleKey, baseUrl: trimBaseUrl(s.compatibleBaseUrl), model: (s.compatibleModel || '').trim() }),
+  isConfigured: (c) => !!c.baseUrl && !!c.model,
+  endpoint: (c) => `${c.baseUrl}/chat/completions`,
+  headers: (c) => ({ 'Content-Type': 'application/json', ...(c.key ? { 'Authorization': `Bearer ${c.key}` } : {}) }),
+  ...openAIChat,
+});
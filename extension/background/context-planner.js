@@ -0,0 +1,148 @@
+// ============================================================
+// RTE - Context Planner
+// Fits transcript and reference documents into a per-model
+// token budget: newest transcript first, older turns trimmed,
+// then as much document text as still fits. Reports what was
+// dropped so the overlay can warn the user.
+// ============================================================
+
+// Approximate context windows by model-name pattern (first match wins)
+const CONTEXT_WINDOWS = [
+  [/^gpt-4o|^gpt-4\.1|^gpt-4-turbo|^gpt-5|^o\d/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5/, 16385],
+  [/^claude/, 200000],
+  [/llama-?3\.[1-3]/, 128000],
+  [/mistral|mixtral|qwen|gemma-?[23]/, 32768],
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+const RESERVE_TOKENS = 400;        // Headers, separators and estimation slack
+const TRANSCRIPT_SHARE = 0.6;      // Transcript may use at most this share of the budget
+const FULL_TURNS = 6;              // Newest turns that are never shortened
+const OLDER_TURN_CHARS = 240;      // Older turns are cut to this length when over budget
+
+// Thai, Japanese, CJK and Hangul cost roughly one token per character
+const DENSE_SCRIPT_RE = /[\u0E00-\u0E7F\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/g;
+
+/**
+ * Rough token estimate: ~4 characters per token for alphabetic text,
+ * ~1 token per character for dense scripts.
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const dense = (text.match(DENSE_SCRIPT_RE) || []).length;
+  return Math.ceil(dense + (text.length - dense) / 4);
+}
+
+export function getContextWindow(model) {
+  const id = (model || '').toLowerCase();
+  for (const [re, size] of CONTEXT_WINDOWS) if (re.test(id)) return size;
+  return DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Input budget for one request.
+ * @param {{model: string, maxTokens: number, systemPrompt: string, cap?: number}} opts
+ *   cap — user-configured ceiling in tokens (0/undefined = model maximum)
+ */
+export function getInputBudget({ model, maxTokens = 1024, systemPrompt = '', cap = 0 }) {
+  let budget = getContextWindow(model) - maxTokens - estimateTokens(systemPrompt) - RESERVE_TOKENS;
+  if (cap > 0) budget = Math.min(budget, cap);
+  return Math.max(0, budget);
+}
+
+function shorten(text, chars) {
+  if (text.length <= chars) return text;
+  const cut = text.slice(0, chars);
+  const space = cut.lastIndexOf(' ');
+  return (space > chars * 0.6 ? cut.slice(0, space) : cut) + ' …';
+}
+
+// Longest end of `text` whose estimate fits in `tokens`
+function tailWithin(text, tokens) {
+  let keep = Math.min(text.length, tokens * 4);
+  for (let cost = estimateTokens(text.slice(-keep)); keep > 0 && cost > tokens; cost = estimateTokens(text.slice(-keep))) {
+    keep = Math.min(keep - 1, Math.floor(keep * tokens / cost));
+  }
+  return keep > 0 ? text.slice(-keep) : '';
+}
+
+/**
+ * Plan the prompt context.
+ * @param {object} opts
+ * @param {Array<{speaker: string, text: string}>} opts.transcript - oldest first, already windowed
+ * @param {Array<{name: string, content: string}>} opts.documents - in priority order; extra fields are kept
+ * @param {number} opts.budget - input tokens available for transcript + documents
+ * @returns {{transcriptLines: string[], documents: Array<{name: string, content: string, truncated: boolean}>, dropped: object}}
+ */
+export function planContext({ transcript = [], documents = [], budget }) {
+  const dropped = { turnsTrimmed: 0, turnsOmitted: 0, docsTruncated: [], docsOmitted: [] };
+
+  // ── Transcript: newest first, within its share of the budget ──
+  const share = Math.floor(budget * TRANSCRIPT_SHARE);
+  let remaining = share;
+  const fullCost = transcript.reduce((sum, e) => sum + estimateTokens(`${e.speaker}: ${e.text}`) + 1, 0);
+  const trimOlder = fullCost > share;
+  const lines = [];
+  for (let i = transcript.length - 1; i >= 0; i--) {
+    const e = transcript[i];
+    const age = transcript.length - 1 - i;
+    let text = e.text;
+    if (trimOlder && age >= FULL_TURNS && text.length > OLDER_TURN_CHARS) { text = shorten(text, OLDER_TURN_CHARS); dropped.turnsTrimmed++; }
+    let line = `${e.speaker}: ${text}`;
+    let cost = estimateTokens(line) + 1;
+    if (cost > remaining) {
+      // The newest turn is always kept, shortened to whatever room there is
+      if (lines.length === 0 && remaining > 20) {
+        const prefix = `${e.speaker}: … `;
+        line = prefix + tailWithin(e.text, remaining - 1 - estimateTokens(prefix));
+        cost = estimateTokens(line) + 1;
+      } else {
+        dropped.turnsOmitted = i + 1;
+        break;
+      }
+    }
+    lines.unshift(line);
+    remaining -= cost;
+  }
+
+  // ── Documents: whatever budget the transcript left over ──
+  remaining = budget - share + remaining;
+  const docs = [];
+  for (const d of documents) {
+    const header = estimateTokens(d.name) + 6;
+    const cost = estimateTokens(d.content) + header;
+    if (cost <= remaining) {
+      docs.push({ ...d, truncated: false });
+      remaining -= cost;
+      continue;
+    }
+    const room = remaining - header;
+    if (room >= 200) {
+      let content = d.content.slice(0, Math.floor(d.content.length * room / (cost - header)));
+      const para = content.lastIndexOf('\n');
+      if (para > content.length * 0.7) content = content.slice(0, para);
+      docs.push({ ...d, content: content + '\n[…truncated]', truncated: true });
+      dropped.docsTruncated.push(d.name);
+      remaining = 0;
+    } else {
+      dropped.docsOmitted.push(d.name);
+    }
+  }
+
+  return { transcriptLines: lines, documents: docs, dropped };
+}
+
+/**
+ * One-line, user-facing summary of what the planner dropped, or '' if nothing was.
+ */
+export function describeDropped(dropped) {
+  const parts = [];
+  if (dropped.turnsOmitted) parts.push(`${dropped.turnsOmitted} older transcript turn${dropped.turnsOmitted > 1 ? 's' : ''} left out`);
+  if (dropped.turnsTrimmed) parts.push(`${dropped.turnsTrimmed} older turn${dropped.turnsTrimmed > 1 ? 's' : ''} shortened`);
+  if (dropped.docsTruncated.length) parts.push(`cut short: ${dropped.docsTruncated.join(', ')}`);
+  if (dropped.docsOmitted.length) parts.push(`left out: ${dropped.docsOmitted.join(', ')}`);
+  return parts.length ? 'Context limit reached — ' + parts.join('; ') + '.' : '';
+}
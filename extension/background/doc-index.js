@@ -0,0 +1,198 @@
+// ============================================================
+// RTE - Document Retrieval Index
+// Splits uploaded support documents into passages and keeps a
+// BM25 keyword index in IndexedDB, so AI prompts carry only the
+// passages relevant to the current conversation instead of
+// every document in full.
+// ============================================================
+
+const DB_NAME = 'rte-doc-index';
+const DB_VERSION = 1;
+const CHUNK_STORE = 'chunks';
+
+const CHUNK_TARGET_CHARS = 1000;   // Passages are built from paragraphs up to ~this size
+const CHUNK_MAX_CHARS = 1600;      // Longer paragraphs are split at sentence boundaries
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(('a an and are as at be been but by can could did do does for from had has have he her his how i if in into is it its just me my no not of on or our she so that the their them then there these they this to too up us was we were what when where which who why will with would you your').split(' '));
+
+// Scripts written without spaces are indexed as character bigrams
+const UNSPACED_RE = /[\u0E00-\u0EFF\u1000-\u109F\u1780-\u17FF\u3040-\u30FF\u3400-\u9FFF]/;
+
+let dbPromise = null;
+let cache = null;  // { chunks: [...], avgLength, df: Map } — rebuilt after any write
+
+// ── IndexedDB helpers ──
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(CHUNK_STORE, { keyPath: 'id' });
+      store.createIndex('docId', 'docId');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ── Text processing ──
+
+/**
+ * Lowercased search terms: words for spaced scripts, character bigrams for
+ * Thai/CJK/Lao/Khmer/Myanmar. English stopwords are dropped.
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const word of (text || '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || []) {
+    if (UNSPACED_RE.test(word)) {
+      if (word.length === 1) terms.push(word);
+      for (let i = 0; i < word.length - 1; i++) terms.push(word.slice(i, i + 2));
+      continue;
+    }
+    if (word.length < 2 || STOPWORDS.has(word)) continue;
+    terms.push(stem(word));
+  }
+  return terms;
+}
+
+// Minimal plural folding so "policies" matches "policy" and "plans" matches "plan"
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into passages of roughly CHUNK_TARGET_CHARS, keeping paragraphs together.
+ */
+export function chunkText(text) {
+  const pieces = [];
+  for (const para of (text || '').split(/\n\s*\n/)) {
+    const p = para.trim();
+    if (!p) continue;
+    if (p.length <= CHUNK_MAX_CHARS) { pieces.push(p); continue; }
+    // Split oversize paragraphs at sentence ends (., !, ?, and CJK/Thai full stops)
+    let cur = '';
+    for (const sentence of p.match(/[^.!?\u3002\uFF01\uFF1F\n]+[.!?\u3002\uFF01\uFF1F]*\s*/g) || [p]) {
+      if (cur && cur.length + sentence.length > CHUNK_TARGET_CHARS) { pieces.push(cur.trim()); cur = ''; }
+      cur += sentence;
+      while (cur.length > CHUNK_MAX_CHARS) { pieces.push(cur.slice(0, CHUNK_TARGET_CHARS)); cur = cur.slice(CHUNK_TARGET_CHARS); }
+    }
+    if (cur.trim()) pieces.push(cur.trim());
+  }
+
+  const chunks = [];
+  let cur = '';
+  for (const piece of pieces) {
+    if (cur && cur.length + piece.length > CHUNK_TARGET_CHARS) { chunks.push(cur); cur = ''; }
+    cur = cur ? cur + '\n\n' + piece : piece;
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+function termFrequencies(terms) {
+  const tf = {};
+  for (const t of terms) tf[t] = (tf[t] || 0) + 1;
+  return tf;
+}
+
+// ── Public API ──
+
+/**
+ * (Re)index one document, replacing any passages it had before.
+ * @param {{id: string, name: string, content: string}} doc
+ */
+export async function indexDocument(doc) {
+  const docId = doc.id || doc.name;
+  const db = await openDB();
+  const tx = db.transaction(CHUNK_STORE, 'readwrite');
+  const store = tx.objectStore(CHUNK_STORE);
+  for (const key of await promisify(store.index('docId').getAllKeys(docId))) store.delete(key);
+  chunkText(doc.content).forEach((text, index) => {
+    const terms = tokenize(text);
+    store.put({ id: `${docId}#${index}`, docId, docName: doc.name, index, text, tf: termFrequencies(terms), length: terms.length });
+  });
+  await txDone(tx);
+  cache = null;
+}
+
+export async function removeDocument(docId) {
+  const db = await openDB();
+  const tx = db.transaction(CHUNK_STORE, 'readwrite');
+  const store = tx.objectStore(CHUNK_STORE);
+  for (const key of await promisify(store.index('docId').getAllKeys(docId))) store.delete(key);
+  await txDone(tx);
+  cache = null;
+}
+
+/**
+ * Bring the index in line with the stored documents: index documents that
+ * are missing and drop passages of documents that no longer exist.
+ */
+export async function syncIndex(documents) {
+  const db = await openDB();
+  const indexed = new Set((await promisify(db.transaction(CHUNK_STORE).objectStore(CHUNK_STORE).getAllKeys()))
+    .map(k => k.slice(0, k.lastIndexOf('#'))));
+  const wanted = new Set((documents || []).map(d => d.id || d.name));
+
+  for (const docId of indexed) if (!wanted.has(docId)) await removeDocument(docId);
+  for (const doc of documents || []) if (!indexed.has(doc.id || doc.name)) await indexDocument(doc);
+}
+
+async function loadCache() {
+  if (cache) return cache;
+  const db = await openDB();
+  const chunks = await promisify(db.transaction(CHUNK_STORE).objectStore(CHUNK_STORE).getAll());
+  const df = new Map();
+  let total = 0;
+  for (const c of chunks) {
+    total += c.length;
+    for (const t of Object.keys(c.tf)) df.set(t, (df.get(t) || 0) + 1);
+  }
+  cache = { chunks, df, avgLength: chunks.length ? total / chunks.length : 0 };
+  return cache;
+}
+
+/**
+ * Rank passages against a query with BM25.
+ * @returns {Promise<Array<{id: string, docId: string, docName: string, index: number, text: string, score: number}>>}
+ */
+export async function queryIndex(query, limit = 8) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+  const { chunks, df, avgLength } = await loadCache();
+  const n = chunks.length;
+
+  const scored = [];
+  for (const c of chunks) {
+    let score = 0;
+    for (const t of terms) {
+      const f = c.tf[t];
+      if (!f) continue;
+      const d = df.get(t);
+      const idf = Math.log(1 + (n - d + 0.5) / (d + 0.5));
+      score += idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * c.length / avgLength));
+    }
+    if (score > 0) scored.push({ id: c.id, docId: c.docId, docName: c.docName, index: c.index, text: c.text, score });
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+}
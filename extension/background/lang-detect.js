@@ -0,0 +1,124 @@
+// ============================================================
+// RTE - Language Detection
+// Guesses the language of a caption block locally, without a
+// network call. Non-Latin scripts are identified by Unicode range
+// (with a few letters that split languages sharing a script);
+// Latin-script text is scored against small trigram profiles of
+// the most frequent trigrams per language. Too little text, or
+// two profiles scoring alike, gives null — the caller falls back.
+// ============================================================
+
+// Non-Latin scripts → candidate languages; `pick` narrows by letters only one of them uses
+const SCRIPTS = [
+  { re: /[฀-๿]/g, langs: ['th'] },
+  { re: /[຀-໿]/g, langs: ['lo'] },
+  { re: /[ក-៿]/g, langs: ['km'] },
+  { re: /[က-႟]/g, langs: ['my'] },
+  { re: /[가-힯ᄀ-ᇿ]/g, langs: ['ko'] },
+  // Kana means Japanese; Han alone reads as Chinese
+  { re: /[぀-ヿ㐀-鿿]/g, langs: ['ja', 'zh-CN', 'zh-TW'], pick: t => (/[぀-ヿ]/.test(t) ? 'ja' : 'zh-CN') },
+  // Ukrainian і ї є ґ
+  { re: /[Ѐ-ӿ]/g, langs: ['ru', 'uk'], pick: t => (/[іїєґІЇЄҐ]/.test(t) ? 'uk' : 'ru') },
+  // Urdu ٹ ڈ ڑ ں ے ھ, Persian پ چ ژ گ ک ی
+  { re: /[؀-ۿ]/g, langs: ['ar', 'fa', 'ur'], pick: t => (/[ٹڈڑںےھ]/.test(t) ? 'ur' : /[پچژگکی]/.test(t) ? 'fa' : 'ar') },
+  { re: /[֐-׿]/g, langs: ['he'] },
+  { re: /[Ͱ-Ͽ]/g, langs: ['el'] },
+  { re: /[ऀ-ॿ]/g, langs: ['hi', 'mr'] },
+  { re: /[ঀ-৿]/g, langs: ['bn'] },
+  { re: /[஀-௿]/g, langs: ['ta'] },
+  { re: /[ఀ-౿]/g, langs: ['te'] },
+];
+
+// Most frequent trigrams per language, most frequent first (' ' marks a word edge)
+const PROFILES = {
+  en: ['the', ' th', 'he ', 'ing', 'and', ' an', 'nd ', ' to', 'to ', 'ng ', ' of', 'of ', 'ion', ' in', 'is ', 'ed ', 'at ', ' is', 'er ', 'hat', 'tha', ' it', 'it ', ' yo', 'you', 'ou ', ' we', 're ', 'for', ' fo'],
+  es: [' de', 'de ', 'os ', ' la', 'la ', 'el ', 'que', ' qu', 'ue ', 'es ', ' el', ' en', 'en ', 'as ', 'ent', 'ón ', 'ado', ' co', ' se', 'ar ', 'con', 'cio', 'ión', 'los', ' lo', 'nte', 'est', ' es', 'ien', ' po'],
+  fr: [' de', 'es ', 'de ', 'le ', ' le', 'ent', ' la', 'la ', 'nt ', 'que', ' qu', 'ue ', 'les', ' et', 'et ', 'ion', ' co', 're ', 'ous', ' pa', ' un', 'est', ' es', 'ait', 'our', ' vo', 'vou', ' je', 'je ', 'ons'],
+  de: ['en ', 'er ', 'ich', 'ein', 'sch', ' di', 'die', 'ie ', 'der', ' de', 'che', 'ch ', 'ung', 'nd ', 'und', ' un', 'ten', 'den', 'ine', ' ei', 'gen', ' ge', 'ist', ' is', 'nic', 'cht', 'ht ', ' wi', 'das', ' si'],
+  pt: [' de', 'de ', 'os ', ' qu', 'que', 'ue ', ' co', 'ão ', 'do ', ' a ', 'da ', 'as ', ' da', ' do', 'ent', 'ar ', 'ção', 'açã', 'com', ' se', 'nte', ' nã', 'não', 'ara', 'par', ' pa', 'em ', ' em', 'um ', 'uma'],
+  it: [' di', 'di ', 'che', ' ch', 'he ', ' la', 'la ', 'to ', 're ', 'ell', 'lla', ' il', 'il ', 'ion', 'one', 'ne ', 'per', ' pe', 'zio', 'ent', 'del', ' de', 'no ', ' co', 'non', ' no', 'are', 'ato', 'sta', 'ono'],
+  nl: ['en ', 'de ', ' de', 'et ', 'van', ' va', 'an ', 'een', ' ee', 'het', ' he', 'ij ', 'aar', 'er ', ' en', 'nde', 'oor', 'ver', ' ve', ' ik', 'ik ', 'dat', ' da', 'ing', 'ten', ' we', 'iet', ' ni', 'gen', 'cht'],
+  id: ['an ', 'ang', ' me', 'kan', 'ng ', 'yan', 'nya', ' ya', 'men', ' di', 'ada', 'ak ', 'ah ', 'ara', 'dan', ' da', ' pe', 'ya ', 'aka', 'ita', 'kit', ' ki', 'eng', 'ini', ' in', 'sa ', 'ter', 'ber', ' be', 'apa'],
+  sv: ['en ', ' de', 'och', ' oc', 'ch ', 'er ', 'att', ' at', 'det', 'et ', 'för', ' fö', 'ar ', 'som', ' so', 'är ', ' är', ' ti', 'ill', 'and', 'an ', 'jag', ' ja', 'ag ', 'vi ', ' vi', 'den', 'lig', 'nde', 'med'],
+  tr: ['lar', 'ler', ' bi', 'bir', 'ir ', 'ın ', 'in ', 'ini', 'ara', 'eri', ' ve', 've ', 'an ', 'da ', 'de ', 'ind', ' de', 'ak ', 'nı ', 'yor', 'ıyo', 'iyo', 'or ', 'ası', 'esi', 'ile', ' ka', 'ama', ' bu', 'bu '],
+  pl: ['nie', ' ni', 'ie ', ' pr', 'prz', 'rze', 'ze ', ' po', 'ch ', 'ego', 'wie', ' w ', 'owa', 'ani', 'est', 'jes', ' je', 'się', ' si', 'ię ', 'cze', 'zy ', ' za', 'ych', 'że ', ' że', 'do ', ' do', 'jak', 'to '],
+  vi: [' ng', 'ng ', 'ông', 'khô', ' kh', ' ch', 'ch ', 'nh ', ' th', 'các', ' cá', 'ngư', 'và ', ' và', 'của', ' củ', 'ủa ', 'là ', ' là', 'có ', ' có', 'một', ' mộ', 'ược', 'đượ', ' đư', 'tôi', ' tô', 'ôi ', 'ười'],
+};
+
+// Letters that (almost) only one profiled language uses
+const HINTS = {
+  vi: /[ơưđạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/g,
+  tr: /[ığş]/g,
+  pl: /[łąęźżśćń]/g,
+  de: /[ßäöü]/g,
+  sv: /[åä]/g,
+  es: /[ñ¿¡]/g,
+  pt: /[ãõç]/g,
+  fr: /[èêëîïûœç]/g,
+};
+const HINT_WEIGHT = 3;
+
+const MIN_LETTERS = 12;        // Shorter Latin text is not worth a guess
+const MIN_SCRIPT_SHARE = 0.4;  // Share of letters a non-Latin script needs to win
+const MIN_SCORE = 0.15;        // Profile weight per trigram the winner needs
+const MIN_MARGIN = 1.15;       // Winner over runner-up
+
+const weights = Object.fromEntries(Object.entries(PROFILES).map(([lang, grams]) =>
+  [lang, new Map(grams.map((g, rank) => [g, 2 - rank / grams.length]))]));
+
+function trigrams(text) {
+  const counts = new Map();
+  for (const word of text.toLowerCase().split(/[^\p{L}]+/u)) {
+    if (!word) continue;
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const g = padded.slice(i, i + 3);
+      counts.set(g, (counts.get(g) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+function detectLatin(text) {
+  const counts = trigrams(text);
+  let total = 0;
+  for (const n of counts.values()) total += n;
+  if (!total) return null;
+
+  const scores = Object.entries(weights).map(([lang, profile]) => {
+    let score = 0;
+    for (const [g, n] of counts) score += (profile.get(g) || 0) * n;
+    // Not every profile has hint letters; match(undefined) would count an empty match
+    score += HINTS[lang] ? (text.toLowerCase().match(HINTS[lang]) || []).length * HINT_WEIGHT : 0;
+    return { lang, score: score / total };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (best.score < MIN_SCORE || best.score < second.score * MIN_MARGIN) return null;
+  return best.lang;
+}
+
+/**
+ * Best guess at the language of `text`, or null when unsure.
+ * @param {string} text
+ * @param {{preferred?: string}} [options] - the user's chosen language; wins
+ *   among languages a script cannot tell apart (e.g. zh-TW over zh-CN, mr over hi)
+ * @returns {string|null} RTE language code
+ */
+export function detectLanguage(text, { preferred } = {}) {
+  const letters = (text || '').match(/\p{L}/gu) || [];
+  if (!letters.length) return null;
+
+  for (const script of SCRIPTS) {
+    const n = (text.match(script.re) || []).length;
+    if (n / letters.length < MIN_SCRIPT_SHARE) continue;
+    if (preferred && script.langs.includes(preferred) && (!script.pick || script.pick(text).split('-')[0] === preferred.split('-')[0])) return preferred;
+    return script.pick ? script.pick(text) : script.langs[0];
+  }
+
+  if (letters.length < MIN_LETTERS) return null;
+  const lang = detectLatin(text);
+  // Malay shares the Indonesian profile
+  if (lang === 'id' && preferred === 'ms') return 'ms';
+  return lang;
+}
@@ -0,0 +1,86 @@
+// ============================================================
+// RTE - Question Detector
+// Decides whether a caption turn ends with a question aimed at
+// the listener. Speech recognition rarely emits "?", so besides
+// punctuation it looks at interrogative openings, request forms
+// ("tell me about…") and sentence-final question particles for
+// the languages RTE translates most.
+// ============================================================
+
+// Sentence ends: Latin and CJK full stops / question / exclamation marks
+const SENTENCE_RE = /[^.!?。！？]+[.!?。！？]*/g;
+
+// Interrogative or request openings, matched against the start of a sentence.
+// `(?![\p{L}\p{N}])` ends the word: \b misses the boundary after an accented letter ("qué", "où").
+const OPENINGS = [
+  // English
+  /^(who|whom|whose|what|when|where|why|which|how)(?![\p{L}\p{N}])/iu,
+  /^(do|does|did|is|are|was|were|am|have|has|had|can|could|will|would|should|shall|may|might|must)\s+(you|we|they|he|she|it|i|there|this|that|your)(?![\p{L}\p{N}])/iu,
+  /^(tell|walk)\s+(me|us)(?![\p{L}\p{N}])/iu,
+  /^(can|could|would)\s+you(?![\p{L}\p{N}])/iu,
+  /^(describe|explain|share|talk\s+about|give\s+(me|us)\s+an?\s+example)(?![\p{L}\p{N}])/iu,
+  /^(any\s+(questions|thoughts)|what\s+about|how\s+about)(?![\p{L}\p{N}])/iu,
+  // Spanish / Portuguese
+  /^¿/,
+  /^(qué|cómo|cuándo|dónde|por\s*qué|quién|cuál|cuánto|o\s+que|como|quando|onde|quem|qual|quanto)(?![\p{L}\p{N}])/iu,
+  // French
+  /^(est-ce\s+que|qu'est-ce|pourquoi|comment|quand|où|combien|quel(le)?s?)(?![\p{L}\p{N}])/iu,
+  // German
+  /^(wer|was|wann|wo|warum|wie|welche[rsmn]?|können\s+sie|haben\s+sie|sind\s+sie)(?![\p{L}\p{N}])/iu,
+  // Indonesian / Malay
+  /^(apa|apakah|bagaimana|kapan|di\s*mana|mengapa|kenapa|siapa|berapa)(?![\p{L}\p{N}])/iu,
+];
+
+// Sentence-final particles and question words (no word boundaries in Thai / CJK)
+const ENDINGS = [
+  // Thai: ไหม / มั้ย / หรือเปล่า / หรือยัง / อะไร / ยังไง / อย่างไร / ทำไม / เมื่อไหร่ / ที่ไหน / ใคร / กี่…, optionally + ครับ/คะ/ค่ะ/จ๊ะ
+  /(ไหม|มั้ย|หรือเปล่า|หรือยัง|อะไร|ยังไง|อย่างไร|ทำไม|เมื่อไหร่|ที่ไหน|ใคร)\s*(ครับ|คะ|ค่ะ|จ๊ะ)?\s*$/,
+  // Japanese: …か / …ですか / …ますか / …でしょうか
+  /(か|ですか|ますか|でしょうか)\s*$/,
+  // Chinese: 吗 / 呢 and 什么 / 怎么样 / 为什么 / 哪里 at the end
+  /(吗|呢|什么|怎么样|为什么|哪里)\s*$/,
+  // Korean: …까 / …니까 / …나요 / …가요 / …죠 endings
+  /(까|니까|나요|가요|죠)\s*$/,
+  // Vietnamese: không / chưa / gì / sao / nào at the end
+  /\b(không|chưa|gì|sao|nào)\s*$/i,
+];
+
+// Too short to be a real question ("what?", "sorry?") — not worth an answer.
+// Dense scripts pack a question into far fewer characters.
+const MIN_QUESTION_CHARS = 12;
+const MIN_DENSE_QUESTION_CHARS = 5;
+const DENSE_SCRIPT_RE = /[\u0E00-\u0E7F\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF]/;
+
+// Spoken lead-ins stripped before matching openings ("So, tell me…")
+const LEAD_IN_RE = /^((so|and|okay|ok|well|alright|all right|right|now|great|cool|yeah|um|uh|then)\b[,\s]*)+/i;
+
+/**
+ * Split a caption turn into sentences.
+ */
+function sentences(text) {
+  return ((text || '').match(SENTENCE_RE) || []).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a single sentence reads as a question.
+ */
+export function isQuestion(sentence) {
+  const s = (sentence || '').trim();
+  if (s.length < (DENSE_SCRIPT_RE.test(s) ? MIN_DENSE_QUESTION_CHARS : MIN_QUESTION_CHARS)) return false;
+  if (/[?？]\s*$/.test(s)) return true;
+  const body = s.replace(/[.!。！]+$/, '').replace(LEAD_IN_RE, '').trim();
+  return OPENINGS.some(re => re.test(body)) || ENDINGS.some(re => re.test(body));
+}
+
+/**
+ * The question a turn ends on, or null. Only the last two sentences are
+ * considered, so a question asked earlier and then answered in the same
+ * turn does not fire.
+ */
+export function findQuestion(text) {
+  const list = sentences(text);
+  for (const s of list.slice(-2).reverse()) {
+    if (isQuestion(s)) return s;
+  }
+  return null;
+}
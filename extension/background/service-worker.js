@@ -8,12 +8,28 @@
 // chrome.storage.sync to survive extension uninstall/reinstall.
 // ============================================================
 
+import { listProviders, getProvider, getProviderSettingsKeys, resolveProvider, resolveModel, buildRequest } from './ai-providers.js';
+import { estimateTokens, getInputBudget, planContext, describeDropped } from './context-planner.js';
+import { syncIndex, queryIndex } from './doc-index.js';
+import { DEFAULT_TEMPLATES, TEMPLATE_VARIABLES, getTemplate, getCommandTemplate, renderTemplate } from './prompt-templates.js';
+import { findQuestion } from './question-detector.js';
+import { withCachedTranslations, translateBlocks, clearTranslationCache, buildTranslationPrompt, parseTranslationOutput, fitToCharBudget } from './translation.js';
+import { listBackends, getBackend, getBackendSettingsKeys, translateWithBackend } from './translation-backends.js';
+import { detectLanguage } from './lang-detect.js';
+import { createSession, updateSession, addAIResponse, getSession, listSessions, searchSessions, deleteSession, clearSessions, pruneSessions } from './session-store.js';
+import { summarizeTranscript, formatRecap, buildSegmentPrompt, buildCompactPrompt } from './summarizer.js';
+
 // ── State ──
 let state = {
   active: false,
   sourceLang: 'en',
-  targetLang: 'th',
-  translateTabId: null,
+  targetLang: 'th',     // Primary target: subtitles, translatedText and answer language
+  targetLangs: ['th'],  // Every target language, primary first
+  translateTabs: {},    // target language → its translation tab
+  sessionId: null,      // Archive session of the current activation
+  summarySegments: [],  // Rolling summary: [{ from, to, lastId, summary }], oldest first
+  lineSeq: 0,           // Last transcript entry id handed out
+
   meetingTabId: null,
   platform: null,
   fullTranscript: [],
@@ -39,10 +55,21 @@ const DEFAULT_SHORTCUTS = {
   'copy-captions': 'Ctrl+Shift+C',
 };
 
-const PERSIST_KEYS = ['active', 'sourceLang', 'targetLang', 'translateTabId', 'meetingTabId', 'platform', 'spellingCorrection'];
+const PERSIST_KEYS = ['active', 'sourceLang', 'targetLang', 'targetLangs', 'translateTabs', 'meetingTabId', 'platform', 'spellingCorrection', 'translationBackend', 'sessionId', 'summarySegments', 'lineSeq'];
 
 // Keys that should be stored in sync storage (persist across reinstall)
-const SYNC_SETTINGS_KEYS = ['aiProvider', 'openaiKey', 'anthropicKey', 'spellingCorrection', 'customShortcuts', 'sentenceCount'];
+const SYNC_SETTINGS_KEYS = ['aiProvider', ...getProviderSettingsKeys(), 'modelSettings', 'aiRetry', 'fallbackProvider', 'contextBudget', 'promptTemplates', 'spellingCorrection', 'customShortcuts', 'customCommands', 'autoAnswer', 'answerLanguage', 'translationBackend', ...getBackendSettingsKeys(), 'languageDetection', 'sessionArchive', 'meetingRecap', 'catchUp', 'subtitles', 'sentenceCount'];
+const LARGE_SYNC_KEYS = ['promptTemplates', 'customCommands'];  // Can exceed the 8 KB per-item sync quota
+
+// Everything an AI request reads: provider, per-mode model parameters, retry, context and prompts
+const AI_SETTINGS_KEYS = ['aiProvider', ...getProviderSettingsKeys(), 'modelSettings', 'aiRetry', 'fallbackProvider', 'contextBudget', 'promptTemplates', 'answerLanguage'];
+
+const TRANSCRIPT_WINDOW = 15;        // Transcript entries considered for AI prompts
+const CUSTOM_COMMAND_PREFIX = 'custom:';  // Command names for user-defined commands: custom:<id>
+const DEFAULT_CONTEXT_BUDGET = 16000; // Input-token ceiling for AI prompts (0 = model maximum)
+const RETRIEVAL_QUERY_TURNS = 3;      // Transcript turns used as the document search query
+const RETRIEVAL_TOP_K = 8;            // Document passages retrieved per request
+const SOURCE_SNIPPET_CHARS = 600;     // Passage text shown in the overlay's citation popover
 
 // ── Storage helpers ──
 async function storageSet(data) {
@@ -76,7 +103,7 @@ async function saveSettings(data) {
   const localData = { ...data };
 
   for (const key of SYNC_SETTINGS_KEYS) {
-    if (data[key] !== undefined) {
+    if (data[key] !== undefined && !LARGE_SYNC_KEYS.includes(key)) {
       syncData[key] = data[key];
     }
   }
@@ -86,6 +113,18 @@ async function saveSettings(data) {
     try { await chrome.storage.sync.set(syncData); } catch { /* sync not available */ }
   }
 
+  // Set separately: a quota error on one of these must not reject the rest.
+  // A value too large for sync lives in local only, so drop the stale sync copy.
+  for (const key of LARGE_SYNC_KEYS) {
+    if (data[key] === undefined) continue;
+    try {
+      await chrome.storage.sync.set({ [key]: data[key] });
+    } catch (err) {
+      console.warn(`[RTE] ${key} too large for sync storage, kept on this device only:`, err.message);
+      await chrome.storage.sync.remove(key).catch(() => {});
+    }
+  }
+
   // Also save to local for immediate access
   await chrome.storage.local.set(localData);
 }
@@ -105,14 +144,20 @@ async function loadState() {
   if (data['_sw_active'] !== undefined) {
     for (const k of PERSIST_KEYS) { if (data['_sw_' + k] !== undefined) state[k] = data['_sw_' + k]; }
     if (data['_sw_transcript']) state.fullTranscript = data['_sw_transcript'];
+    for (const e of state.fullTranscript) e.id ??= ++state.lineSeq;  // Saved before entries had ids
+    if (state.targetLangs[0] !== state.targetLang) state.targetLangs = [state.targetLang];  // Saved before multiple targets
 
     // Validate tab IDs
-    for (const key of ['translateTabId', 'meetingTabId']) {
-      if (state[key]) {
-        try { await chrome.tabs.get(state[key]); }
-        catch { state[key] = null; if (key === 'meetingTabId') state.platform = null; }
-      }
+    if (state.meetingTabId) {
+      try { await chrome.tabs.get(state.meetingTabId); }
+      catch { state.meetingTabId = null; state.platform = null; }
+    }
+    for (const [lang, tabId] of Object.entries(state.translateTabs)) {
+      try { await chrome.tabs.get(tabId); }
+      catch { delete state.translateTabs[lang]; }
     }
+
+    if (state.active && state.sessionId) await restoreSessionTranscript();
   }
 
   stateLoaded = true;
@@ -214,6 +259,7 @@ chrome.runtime.onInstalled.addListener(async () => {
     if (!toSync.aiProvider) toSync.aiProvider = 'openai';
     if (toSync.openaiKey === undefined) toSync.openaiKey = '';
     if (toSync.anthropicKey === undefined) toSync.anthropicKey = '';
+    if (toSync.compatibleBaseUrl === undefined) toSync.compatibleBaseUrl = '';
     if (toSync.spellingCorrection === undefined) toSync.spellingCorrection = true;
     if (toSync.sentenceCount === undefined) toSync.sentenceCount = 5;
 
@@ -342,15 +388,34 @@ function route(msg, sender, respond) {
     case 'activate': handleActivate(msg).then(respond); return true;
     case 'deactivate': handleDeactivate().then(respond); return true;
     case 'getStatus':
-      respond({ active: state.active, sourceLang: state.sourceLang, targetLang: state.targetLang, platform: state.platform, transcriptCount: state.fullTranscript.length });
+      respond({ active: state.active, sourceLang: state.sourceLang, targetLang: state.targetLang, targetLangs: state.targetLangs, platform: state.platform, transcriptCount: state.fullTranscript.length, translateWindow });
       break;
     case 'captionBatch': handleCaptionBatch(msg, sender); respond({ ok: true }); break;
     case 'transcript': handleLegacyTranscript(msg, sender); respond({ ok: true }); break;
     case 'translateReady': respond({ ok: true }); break;
+    case 'translationResult': handleTranslationResult(msg.blocks, sender); respond({ ok: true }); break;
+    case 'getTranslationView': getTranslationView(sender.tab?.id).then(respond); return true;
     case 'customCommand': handleCustomCommand(msg.command, sender); respond({ ok: true }); break;
+    case 'cancelAIRequest': abortAIRequest(msg.requestId); respond({ ok: true }); break;
+    case 'chatMessage': handleChatMessage(msg.text, sender?.tab?.id); respond({ ok: true }); break;
+    case 'resetChat': chatThread = null; respond({ ok: true }); break;
+    case 'retargetAnswer': handleRetarget(msg.target, sender?.tab?.id); respond({ ok: true }); break;
+    case 'autoAnswerOpened': if (chatThread?.auto) chatThread.auto = false; respond({ ok: true }); break;
     case 'getTranscriptForCopy': handleGetTranscriptForCopy(msg, respond); return true;
     case 'saveSettings': handleSaveSettings(msg.data).then(respond); return true;
     case 'syncDocuments': handleSyncDocuments(msg.documents).then(respond); return true;
+    case 'indexDocuments': handleIndexDocuments(msg.documents).then(respond); return true;
+    case 'getProviders': respond({ providers: listProviders() }); break;
+    case 'getTranslationBackends': respond({ backends: listBackends() }); break;
+    case 'getRecentSpeakers': respond({ speakers: [...new Set(state.fullTranscript.map(e => e.speaker))].filter(s => s !== 'You') }); break;
+    case 'getPromptDefaults': respond({ templates: DEFAULT_TEMPLATES, variables: TEMPLATE_VARIABLES }); break;
+    case 'listSessions':
+    case 'getSession':
+    case 'searchSessions':
+    case 'deleteSession':
+    case 'clearSessions':
+    case 'getLiveSession':
+    case 'generateRecap': handleHistoryRequest(msg).then(respond); return true;
     default: respond({ error: 'Unknown message type' });
   }
 }
@@ -389,12 +454,25 @@ async function handleSyncDocuments(documents) {
   return { ok: true };
 }
 
+async function handleIndexDocuments(documents) {
+  try {
+    await syncIndex(documents || []);
+    return { ok: true };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
 // ── Commands ──
 async function handleCustomCommand(cmd, sender) { await dispatchCommand(cmd, sender?.tab?.id); }
 
-async function dispatchCommand(cmd, senderTabId) {
+/**
+ * Run a shortcut command. `retarget` ({ speaker, text }) regenerates the
+ * answer for a line the user picked in the overlay instead of the default target.
+ */
+async function dispatchCommand(cmd, senderTabId, retarget = null) {
   const now = Date.now();
-  if (cmd === lastCommandName && (now - lastCommandTime) < COMMAND_DEBOUNCE_MS) return;
+  if (!retarget && cmd === lastCommandName && (now - lastCommandTime) < COMMAND_DEBOUNCE_MS) return;
   lastCommandName = cmd; lastCommandTime = now;
 
   if (cmd === 'clear-translate') { await clearConversationHistory(); return; }
@@ -428,19 +506,194 @@ async function dispatchCommand(cmd, senderTabId) {
   // Remember the meeting tab for future commands
   if (!state.meetingTabId && tab) { state.meetingTabId = tab; }
 
+  if (cmd === 'catch-up') { await runCatchUp(tab); return; }
+
   const typeMap = { 'generate-question': 'question', 'generate-simple-answer': 'simple-answer', 'generate-detailed-answer': 'detailed-answer' };
-  const type = typeMap[cmd];
+  let type = typeMap[cmd];
+  let template = null;
+  let display = {};  // Overlay label/icon for user-defined commands
+  if (!type && cmd.startsWith(CUSTOM_COMMAND_PREFIX)) {
+    const command = await getCustomCommand(cmd.slice(CUSTOM_COMMAND_PREFIX.length));
+    if (!command) return;
+    type = 'custom';
+    template = getCommandTemplate(command.prompt);
+    display = { label: command.label, icon: command.icon };
+  }
   if (!type) return;
 
-  safeSendTab(tab, { type: 'streamStart', mode: type });
+  const recent = recentLines();
+  const target = retarget || defaultTarget(recent);
+  lastAnswerCommand = cmd;
+
+  // A command starts a new overlay thread; its answer becomes the first turn
+  chatThread = null;
+  const answer = await runOverlayRequest(tab, type, { ...display, target, recent }, { template, vars: targetVars(target) });
+  if (answer) {
+    const label = display.label || DEFAULT_TEMPLATES[type]?.label || type;
+    const about = target ? `${target.speaker}: "${target.text}"` : 'the latest part of the conversation';
+    chatThread = { tabId: tab, messages: [{ role: 'user', content: `(${label} for ${about})` }, { role: 'assistant', content: answer }] };
+  }
+}
+
+/**
+ * Stream one AI request into the overlay of `tab`: streamStart, chunks, then
+ * streamEnd or an error. Resolves to the answer, or null if the request
+ * failed or was superseded.
+ */
+async function runOverlayRequest(tab, type, display, opts) {
+  const req = beginAIRequest(tab);
+  safeSendTab(tab, { type: 'streamStart', mode: type, ...display, requestId: req.id });
   try {
-    await streamAIResponse(type, tab);
-    safeSendTab(tab, { type: 'streamEnd' });
+    const answer = await streamAIResponse(type, req, opts);
+    if (req.controller.signal.aborted) return null;
+    safeSendTab(tab, { type: 'streamEnd', requestId: req.id });
+    recordAIResponse(type, display, answer);
+    return answer;
   } catch (err) {
-    safeSendTab(tab, { type: 'showOverlay', mode: type, content: `Error: ${err.message}`, isError: true });
+    // Aborted requests were superseded or closed — nothing to report
+    if (!req.controller.signal.aborted) {
+      safeSendTab(tab, { type: 'showOverlay', mode: type, ...display, content: `Error: ${err.message}`, isError: true, requestId: req.id });
+    }
+    return null;
+  } finally {
+    if (activeAIRequest === req) activeAIRequest = null;
+  }
+}
+
+// ── Target Utterance ──
+// Each answer responds to one transcript line — by default the newest turn
+// from someone other than the user. The overlay quotes it above the answer
+// and can send a different recent line back to regenerate.
+const TARGET_CANDIDATES = 6;    // Recent lines offered for re-targeting
+const TARGET_MAX_CHARS = 400;   // Long merged turns are cut to their latest part
+let lastAnswerCommand = null;   // Command re-run when the user picks another line
+
+function clipTurn(text) {
+  const t = (text || '').trim();
+  if (t.length <= TARGET_MAX_CHARS) return t;
+  const tail = t.slice(-TARGET_MAX_CHARS);
+  return '…' + tail.slice(tail.indexOf(' ') + 1);
+}
+
+function recentLines() {
+  return state.fullTranscript.slice(-TARGET_CANDIDATES)
+    .map(e => ({ speaker: e.speaker, text: clipTurn(e.text) }))
+    .filter(l => l.text);
+}
+
+function defaultTarget(lines) {
+  for (let i = lines.length - 1; i >= 0; i--) if (lines[i].speaker !== 'You') return lines[i];
+  return lines[lines.length - 1] || null;
+}
+
+function targetVars(target) {
+  return target ? { target: `${target.speaker}: ${target.text}` } : {};
+}
+
+async function handleRetarget(target, senderTabId) {
+  if (!target?.text || !lastAnswerCommand) return;
+  await dispatchCommand(lastAnswerCommand, senderTabId, { speaker: target.speaker || 'Unknown', text: clipTurn(target.text) });
+}
+
+// ── Overlay Chat ──
+// The overlay holds one thread: the answer to the last shortcut command plus
+// any typed follow-ups. Earlier turns go to the AI as chat history; the live
+// transcript is rebuilt fresh for every message.
+const CHAT_HISTORY_MESSAGES = 8;  // Earlier user/assistant messages sent with a follow-up
+let chatThread = null;            // { tabId, auto?, messages: [{ role, content }] } — auto: seeded by Auto Answer
+
+async function handleChatMessage(text, senderTabId) {
+  const question = (text || '').trim();
+  const tab = senderTabId || state.meetingTabId;
+  if (!question || !tab) return;
+
+  const history = chatThread?.tabId === tab ? chatThread.messages.slice(-CHAT_HISTORY_MESSAGES) : [];
+  const answer = await runOverlayRequest(tab, 'chat', { question }, { history, vars: { question } });
+  if (answer) {
+    chatThread = { tabId: tab, messages: [...history, { role: 'user', content: question }, { role: 'assistant', content: answer }] };
   }
 }
 
+/**
+ * A user-defined command from the `customCommands` setting
+ * ([{ id, label, icon, prompt, shortcut }]), or undefined if it was deleted.
+ */
+async function getCustomCommand(id) {
+  const { customCommands } = await getSettings(['customCommands']);
+  return (customCommands || []).find(c => c.id === id && c.prompt);
+}
+
+// ── Auto Answer ──
+// Opt-in: when another speaker finishes a turn that ends on a question, a
+// quick answer is generated into a collapsed overlay card. Runs only when
+// the overlay is idle (no stream, no typed follow-up thread), waits for the
+// caption to settle, and is rate-limited by a cool-down and an hourly cap.
+const AUTO_ANSWER_SETTLE_MS = 2500;  // Caption must stay unchanged this long before it counts as finished
+const DEFAULT_AUTO_ANSWER = { enabled: false, cooldownSec: 60, maxPerHour: 20 };
+let autoAnswerTimer = null;
+let autoAnswerHandledKey = '';   // speaker + question last answered (or skipped)
+let autoAnswerTimes = [];        // Timestamps of auto answers in the last hour
+
+function scheduleAutoAnswer() {
+  clearTimeout(autoAnswerTimer);
+  autoAnswerTimer = setTimeout(checkAutoAnswer, AUTO_ANSWER_SETTLE_MS);
+}
+
+async function checkAutoAnswer() {
+  if (!state.active || !state.meetingTabId) return;
+  const last = state.fullTranscript[state.fullTranscript.length - 1];
+  if (!last || last.speaker === 'You') return;
+
+  const question = findQuestion(last.text);
+  if (!question) return;
+  const key = `${last.speaker}\n${question}`;
+  if (key === autoAnswerHandledKey) return;
+
+  const { autoAnswer } = await getSettings(['autoAnswer']);
+  const opts = { ...DEFAULT_AUTO_ANSWER, ...autoAnswer };
+  if (!opts.enabled) return;
+  // Never interrupt something the user asked for
+  if (activeAIRequest || (chatThread && !chatThread.auto)) return;
+
+  const now = Date.now();
+  autoAnswerTimes = autoAnswerTimes.filter(t => now - t < 3600000);
+  const lastTime = autoAnswerTimes[autoAnswerTimes.length - 1] || 0;
+  if (now - lastTime < opts.cooldownSec * 1000 || autoAnswerTimes.length >= opts.maxPerHour) return;
+
+  autoAnswerHandledKey = key;
+  autoAnswerTimes.push(now);
+  const tab = state.meetingTabId;
+  const target = { speaker: last.speaker, text: question };
+  lastAnswerCommand = 'generate-simple-answer';
+  const answer = await runOverlayRequest(tab, 'simple-answer', { auto: true, question, target, recent: recentLines() },
+    { vars: { question, ...targetVars(target) } });
+  if (answer) {
+    chatThread = { tabId: tab, auto: true, messages: [{ role: 'user', content: `(Quick answer to: "${question}")` }, { role: 'assistant', content: answer }] };
+  }
+}
+
+// ── AI Request Tracking ──
+// Every streamed AI request carries an id and an AbortController. A new
+// command, the overlay's close button or deactivation aborts the previous
+// stream; the overlay drops chunks whose requestId is no longer current.
+let aiRequestSeq = 0;
+let activeAIRequest = null;  // { id, controller, tabId }
+
+function beginAIRequest(tabId) {
+  abortAIRequest();
+  activeAIRequest = { id: ++aiRequestSeq, controller: new AbortController(), tabId };
+  return activeAIRequest;
+}
+
+/**
+ * Abort the in-flight request. With an id, only aborts if that request is still the active one.
+ */
+function abortAIRequest(id) {
+  if (!activeAIRequest || (id !== undefined && activeAIRequest.id !== id)) return;
+  activeAIRequest.controller.abort();
+  activeAIRequest = null;
+}
+
 // Chrome commands API (disabled when custom shortcuts active)
 chrome.commands.onCommand.addListener(async (cmd) => {
   if (!stateLoaded) await loadState();
@@ -455,21 +708,31 @@ chrome.commands.onCommand.addListener(async (cmd) => {
 // Ctrl+Shift+Z: Clears all saved transcript history, Google Translate text,
 // and committed blocks. Gives a fresh start mid-meeting.
 async function clearConversationHistory() {
+  // What was said so far stays in the archive; the rest starts a new session
+  const archived = !!state.sessionId;
+  if (archived) await endSession();
+
   // Clear transcript and internal state
   state.fullTranscript = [];
+  chatThread = null;
+  clearTimeout(autoAnswerTimer);
+  clearTranslationCache();
+  speakerLangs.clear();
+  resetRollingSummary();
+  translateWindow = null;
   lastVisibleCaptions = [];
   committedBlocks.length = 0;
   translateDirty = false;
   pendingCorrectionId++;
   clearTimeout(debounceTimer);
+  if (archived && state.active) await startSession();
 
   // Save cleared state
   await saveState();
 
-  // Clear Google Translate text
-  const tabId = state.translateTabId;
-  if (tabId) {
-    try { await chrome.tabs.get(tabId); } catch { state.translateTabId = null; saveState(); return; }
+  // Clear every translation tab
+  for (const [lang, tabId] of Object.entries(state.translateTabs)) {
+    try { await chrome.tabs.get(tabId); } catch { delete state.translateTabs[lang]; saveState(); continue; }
 
     try { await chrome.tabs.sendMessage(tabId, { type: 'clearTranslation' }); } catch {
       try {
@@ -487,6 +750,7 @@ async function clearConversationHistory() {
 
   // Notify the meeting tab so the user sees confirmation
   if (state.meetingTabId) {
+    safeSendTab(state.meetingTabId, { type: 'subtitles', blocks: [] });
     safeSendTab(state.meetingTabId, {
       type: 'showOverlay',
       mode: 'clear',
@@ -498,41 +762,93 @@ async function clearConversationHistory() {
 
 // ── Tab lifecycle ──
 chrome.tabs.onRemoved.addListener((id) => {
-  if (id === state.translateTabId) { state.translateTabId = null; saveState(); }
-  if (id === state.meetingTabId) { state.meetingTabId = null; state.platform = null; saveState(); }
+  const lang = translateTabLang(id);
+  if (lang) { delete state.translateTabs[lang]; saveState(); }
+  if (id === state.meetingTabId) {
+    if (state.active) recapMeeting({ sessionId: state.sessionId, transcript: [...state.fullTranscript], tabId: null });
+    state.meetingTabId = null; state.platform = null; saveState();
+  }
+  if (id === activeAIRequest?.tabId) abortAIRequest();
 });
 
+// ── Translation Tabs ──
+// One translation tab per target language (`state.translateTabs`). The
+// first target language is the primary one: its translations become
+// translatedText, the subtitles and the user's answer language.
+const MAX_TARGET_LANGS = 4;
+
+function hasTranslateTabs() {
+  return Object.keys(state.translateTabs).length > 0;
+}
+
+function translateTabLang(tabId) {
+  return Object.keys(state.translateTabs).find(lang => state.translateTabs[lang] === tabId) || null;
+}
+
+async function closeTranslateTabs() {
+  for (const tabId of Object.values(state.translateTabs)) {
+    try { await chrome.tabs.remove(tabId); } catch {}
+  }
+  state.translateTabs = {};
+}
+
 // ── Activate / Deactivate ──
-async function handleActivate({ sourceLang, targetLang }) {
-  state.sourceLang = sourceLang; state.targetLang = targetLang;
+async function handleActivate({ sourceLang, targetLang, targetLangs }) {
+  const langs = [...new Set([targetLang, ...(targetLangs || [])].filter(Boolean))].slice(0, MAX_TARGET_LANGS);
+  if (state.sessionId) await endSession();
+  state.sourceLang = sourceLang; state.targetLang = langs[0]; state.targetLangs = langs;
   state.fullTranscript = [];
   lastVisibleCaptions = []; translateDirty = false;
   committedBlocks.length = 0; teamsSelfName = null;
+  resetRollingSummary();
 
-  const s = await getSettings(['spellingCorrection']);
+  const s = await getSettings(['spellingCorrection', 'translationBackend', 'languageDetection']);
   state.spellingCorrection = s.spellingCorrection !== false;
-
-  try {
-    const tab = await chrome.tabs.create({ url: `https://translate.google.com/?sl=${sourceLang}&tl=${targetLang}&op=translate`, active: false });
-    state.translateTabId = tab.id;
-  } catch (err) { return { ok: false, error: 'Failed to open Google Translate: ' + err.message }; }
+  state.translationBackend = getBackend(s.translationBackend).id;
+  applyLanguageDetection(s.languageDetection);
+
+  // One translation tab per target language. Backends other than the
+  // Google tab show translations in RTE's own page.
+  await closeTranslateTabs();
+  for (const lang of langs) {
+    const url = usesTranslationPage()
+      ? chrome.runtime.getURL('translation/translation.html')
+      : `https://translate.google.com/?sl=${googleSourceLang()}&tl=${lang}&op=translate`;
+    try {
+      const tab = await chrome.tabs.create({ url, active: false });
+      state.translateTabs[lang] = tab.id;
+    } catch (err) {
+      await closeTranslateTabs();
+      return { ok: false, error: 'Failed to open the translation tab: ' + err.message };
+    }
+  }
 
   state.active = true;
+  await startSession();
   await saveState(); startKeepAlive();
   return { ok: true };
 }
 
 async function handleDeactivate() {
+  const ended = { sessionId: state.sessionId, transcript: state.fullTranscript, tabId: state.meetingTabId };
+  await endSession();
   const meetingTab = state.meetingTabId;
   state.active = false; state.platform = null; state.meetingTabId = null;
   state.fullTranscript = [];
   lastVisibleCaptions = []; translateDirty = false;
   committedBlocks.length = 0; teamsSelfName = null;
   pendingCorrectionId++; // Cancel any pending spelling corrections
-  if (state.translateTabId) { try { await chrome.tabs.remove(state.translateTabId); } catch {} state.translateTabId = null; }
+  abortAIRequest();
+  chatThread = null;
+  clearTimeout(autoAnswerTimer); autoAnswerHandledKey = '';
+  translateWindow = null;
+  speakerLangs.clear();
+  resetRollingSummary();
+  await closeTranslateTabs();
   // Notify content scripts to clean up (stop intervals/observers)
   if (meetingTab) { safeSendTab(meetingTab, { type: 'rteDeactivated' }); }
   await saveState(); stopKeepAlive();
+  recapMeeting(ended);
   return { ok: true };
 }
 
@@ -603,11 +919,14 @@ function handleCaptionBatch(msg, sender) {
         merged.push({ speaker, text: c.text, timestamp: Date.now() });
       }
     }
-    state.fullTranscript = merged;
+    state.fullTranscript = carryOver(merged);
 
     translateDirty = true;
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(flushToTranslate, DEBOUNCE_FIRST_MS);
+    scheduleAutoAnswer();
+    scheduleSessionSave();
+    scheduleRollingSummary();
     return;
   }
 
@@ -639,6 +958,9 @@ function handleCaptionBatch(msg, sender) {
 
   clearTimeout(debounceTimer);
   debounceTimer = setTimeout(flushToTranslate, DEBOUNCE_FIRST_MS);
+  scheduleAutoAnswer();
+  scheduleSessionSave();
+  scheduleRollingSummary();
 }
 
 /**
@@ -675,7 +997,7 @@ function rebuildMeetTranscript() {
     }
   }
 
-  state.fullTranscript = result;
+  state.fullTranscript = carryOver(result);
 }
 
 /**
@@ -691,35 +1013,47 @@ function handleLegacyTranscript(msg, sender) {
 
   const last = state.fullTranscript[state.fullTranscript.length - 1];
   if (last && last.speaker === speaker) {
+    if (last.text !== text) delete last.translatedText;
     last.text = text;
     last.timestamp = Date.now();
   } else {
-    state.fullTranscript.push({ speaker, text, timestamp: Date.now() });
+    state.fullTranscript.push({ id: ++state.lineSeq, speaker, text, timestamp: Date.now() });
   }
 
   translateDirty = true;
   clearTimeout(debounceTimer);
   debounceTimer = setTimeout(flushToTranslate, DEBOUNCE_FIRST_MS);
+  scheduleAutoAnswer();
+  scheduleSessionSave();
+  scheduleRollingSummary();
+}
+
+// ── Google Translate Window ──
+// Google Translate accepts 5000 characters, so the tab gets the newest
+// blocks that fit; a block crossing the limit keeps its latest sentences.
+// `translateWindow` tells the popup when older text scrolled out.
+const TRANSLATE_CHAR_BUDGET = 4800;
+let translateWindow = null;  // { shown, total, clipped }
+
+function sendToTranslateTab() {
+  const transcript = state.fullTranscript;
+  const { blocks, clipped } = fitToCharBudget(transcript.map(e => ({ speaker: e.speaker, text: e.text })), TRANSLATE_CHAR_BUDGET);
+  translateWindow = { shown: blocks.length, total: transcript.length, clipped };
+  for (const tabId of Object.values(state.translateTabs)) safeSendTab(tabId, { type: 'translateSetBlocks', blocks });
 }
 
 async function flushToTranslate() {
-  if (!state.translateTabId || !translateDirty) return;
+  if (!hasTranslateTabs() || !translateDirty) return;
   translateDirty = false;
 
   const transcript = state.fullTranscript;
   if (transcript.length === 0) return;
 
-  // Show last N sentences based on platform: 10 for Meet, 20 for Teams
-  const limit = state.platform === 'teams' ? 20 : 10;
-  const recentBlocks = transcript.slice(-limit).map(e => ({
-    speaker: e.speaker,
-    text: e.text,
-  }));
-
-  safeSendTab(state.translateTabId, {
-    type: 'translateSetBlocks',
-    blocks: recentBlocks,
-  });
+  if (usesTranslationPage()) {
+    runPageTranslation();
+  } else {
+    sendToTranslateTab();
+  }
 
   if (state.fullTranscript.length % 10 === 0) saveState();
 
@@ -738,9 +1072,10 @@ async function correctLastBlockAsync(block) {
     if (id === pendingCorrectionId && corrected && corrected !== originalText) {
       if (block.text === originalText) {
         block.text = corrected;
-        if (state.translateTabId) {
-          const recentBlocks = state.fullTranscript.slice(-20).map(e => ({ speaker: e.speaker, text: e.text }));
-          safeSendTab(state.translateTabId, { type: 'translateSetBlocks', blocks: recentBlocks });
+        if (usesTranslationPage()) {
+          runPageTranslation();
+        } else if (hasTranslateTabs()) {
+          sendToTranslateTab();
         }
       }
     }
@@ -749,19 +1084,620 @@ async function correctLastBlockAsync(block) {
   }
 }
 
+// ── Translated Text ──
+// Transcript entries carry `translatedText` once a backend has translated
+// them — read back from the Google Translate tab (translationResult) or
+// returned by the other backends. Teams and Meet rebuild the transcript
+// from each caption batch, so translations are carried over to entries
+// whose text did not change, and timestamps to turns that only grew.
+// Turns are matched in order by speaker and opening words, not by position:
+// old captions scroll out of the page and adjacent turns get merged.
+// A matched turn also keeps its id; the rolling summary tracks progress by it.
+const TURN_PREFIX_CHARS = 20;  // A rebuilt turn starting like the previous one is the same turn
+
+function entryKey(e) { return e.speaker + '\n' + e.text; }
+
+function sameTurn(before, e) {
+  return before.speaker === e.speaker && e.text.startsWith(before.text.slice(0, TURN_PREFIX_CHARS));
+}
+
+function carryOver(entries) {
+  const previous = state.fullTranscript;
+  const translations = new Map(previous.filter(e => e.translatedText).map(e => [entryKey(e), e.translatedText]));
+  let next = 0;  // Earlier previous entries are matched already, or gone
+  for (const e of entries) {
+    const translated = translations.get(entryKey(e));
+    if (translated && !e.translatedText) e.translatedText = translated;
+    // A turn keeps the time it was first seen while it grows
+    const k = previous.findIndex((before, i) => i >= next && sameTurn(before, e));
+    if (k >= 0) {
+      if (previous[k].timestamp) e.timestamp = previous[k].timestamp;
+      if (previous[k].id) e.id = previous[k].id;
+      next = k + 1;
+    }
+    e.id ??= ++state.lineSeq;
+  }
+  return entries;
+}
+
+/**
+ * Attach translations to the matching recent transcript entries.
+ * @param {Array<{speaker: string, text: string, translatedText: string}>} results
+ */
+function attachTranslations(results) {
+  const recent = state.fullTranscript.slice(-TRANSLATION_VIEW_BLOCKS);
+  for (const r of results || []) {
+    if (!r.translatedText) continue;
+    const entry = recent.findLast(e => e.speaker === r.speaker && e.text === r.text);
+    if (entry) entry.translatedText = r.translatedText;
+  }
+  scheduleSessionSave();
+}
+
+// Per-block results read back from the Google Translate tab. Only the
+// primary target language's tab feeds translatedText and subtitles.
+function handleTranslationResult(blocks, sender) {
+  if (!state.active || usesTranslationPage()) return;
+  if (translateTabLang(sender.tab?.id) !== state.targetLang) return;
+  attachTranslations(blocks);
+  if (state.meetingTabId) {
+    const recent = state.fullTranscript.slice(-SUBTITLE_BLOCKS).map(e => ({ speaker: e.speaker, text: e.text, translated: e.translatedText ?? null }));
+    safeSendTab(state.meetingTabId, { type: 'subtitles', blocks: recent });
+  }
+}
+
+// ── Translation Backends ──
+// Any backend other than the Google Translate tab (`translationBackend`
+// setting: the AI provider, LibreTranslate, DeepL) translates the transcript
+// here and shows it in translation/translation.html. Only one request runs
+// at a time; text that arrives meanwhile is picked up by the next round.
+// Unchanged blocks come from the translation cache. The newest turn changes
+// with every caption while it is spoken, so it is re-translated at most once
+// per LIVE_BLOCK_INTERVAL_MS, and once more when it stops changing.
+const TRANSLATION_VIEW_BLOCKS = 30;    // Recent blocks shown in the translation page
+const TRANSLATION_INTERVAL_MS = 1200;  // Minimum gap between translation requests
+const LIVE_BLOCK_INTERVAL_MS = 3000;   // Minimum gap between translations of the turn being spoken
+const SUBTITLE_BLOCKS = 6;             // Recent blocks sent to the meeting page's subtitle strip
+let translationRunning = false;
+let translationQueued = false;
+let liveBlock = null;                  // { id, at, translated: { targetLang: text } } — the newest turn's last translation
+let liveBlockTimer = null;
+
+// Whether to hold back the newest turn this round; schedules the round that translates it
+function holdLiveBlock() {
+  const newest = state.fullTranscript[state.fullTranscript.length - 1];
+  const wait = newest && liveBlock?.id === newest.id ? liveBlock.at + LIVE_BLOCK_INTERVAL_MS - Date.now() : 0;
+  clearTimeout(liveBlockTimer);
+  if (wait > 0) {
+    liveBlockTimer = setTimeout(() => { if (state.active) runPageTranslation(); }, wait);
+    return true;
+  }
+  liveBlock = newest ? { id: newest.id, at: Date.now(), translated: liveBlock?.id === newest.id ? liveBlock.translated : {} } : null;
+  return false;
+}
+
+// Until its next translation, the turn being spoken shows its previous one
+function withLiveTranslation(blocks, targetLang) {
+  const last = blocks[blocks.length - 1];
+  const earlier = liveBlock?.translated[targetLang];
+  if (!last || last.translated !== null || !earlier) return blocks;
+  return [...blocks.slice(0, -1), { ...last, translated: earlier }];
+}
+
+function usesTranslationPage() {
+  return getBackend(state.translationBackend).kind !== 'tab';
+}
+
+function translationLangs(targetLang = state.targetLang) {
+  return { sourceLang: state.sourceLang, targetLang, backend: state.translationBackend };
+}
+
+function viewBlocks() {
+  return state.fullTranscript.slice(-TRANSLATION_VIEW_BLOCKS).map(e => ({ speaker: e.speaker, text: e.text, lang: blockLanguage(e) }));
+}
+
+// A language's translation page gets every block; the meeting tab's
+// subtitle strip the newest few in the primary language
+function sendTranslationView(targetLang, blocks, error = '') {
+  if (targetLang === state.targetLang && state.meetingTabId) {
+    safeSendTab(state.meetingTabId, { type: 'subtitles', blocks: blocks.slice(-SUBTITLE_BLOCKS) });
+  }
+  const tabId = state.translateTabs[targetLang];
+  if (!tabId) return;
+  safeSendTab(tabId, { type: 'translationView', blocks, error, backendLabel: getBackend(state.translationBackend).label, ...translationLangs(targetLang) });
+}
+
+async function getTranslationView(tabId) {
+  const langs = translationLangs(translateTabLang(tabId) || state.targetLang);
+  return { blocks: await withCachedTranslations(viewBlocks(), langs), backendLabel: getBackend(state.translationBackend).label, ...langs };
+}
+
+async function translateTexts(texts, langs) {
+  if (getBackend(langs.backend).kind === 'ai') return aiTranslateTexts(texts, langs);
+  return translateWithBackend(langs.backend, texts, langs, await getSettings(getBackendSettingsKeys()));
+}
+
+async function runPageTranslation() {
+  if (translationRunning) { translationQueued = true; return; }
+  translationRunning = true;
+  try {
+    do {
+      translationQueued = false;
+      const blocks = viewBlocks();
+      const holdNewest = holdLiveBlock();
+      const startedAt = Date.now();
+      // New text shows up at once, its translation follows
+      for (const targetLang of state.targetLangs) {
+        sendTranslationView(targetLang, withLiveTranslation(await withCachedTranslations(blocks, translationLangs(targetLang)), targetLang));
+      }
+      for (const targetLang of state.targetLangs) {
+        const langs = translationLangs(targetLang);
+        try {
+          const translated = await translateBlocks(blocks, langs, translateTexts, { holdNewest });
+          if (targetLang === state.targetLang) {
+            attachTranslations(translated.map(b => ({ speaker: b.speaker, text: b.text, translatedText: b.translated })));
+          }
+          const newest = translated[translated.length - 1];
+          if (liveBlock && newest?.translated) liveBlock.translated[targetLang] = newest.translated;
+          sendTranslationView(targetLang, withLiveTranslation(translated, targetLang));
+        } catch (err) {
+          sendTranslationView(targetLang, await withCachedTranslations(blocks, langs), err.message);
+        }
+      }
+      if (translationQueued) await sleep(Math.max(0, TRANSLATION_INTERVAL_MS - (Date.now() - startedAt)));
+    } while (translationQueued && state.active);
+  } finally {
+    translationRunning = false;
+  }
+}
+
+async function aiTranslateTexts(texts, { sourceLang, targetLang }) {
+  const settings = await getSettings(AI_SETTINGS_KEYS);
+  const sourceName = sourceLang && sourceLang !== 'auto' ? languageName(sourceLang) : '';
+  const { system, user } = buildTranslationPrompt(texts, sourceName, languageName(targetLang));
+  const retry = getRetryOptions(settings);
+  const output = await runWithFailover(settings, 'translation', (target, params) => callAI(target, system, user, params, retry));
+  return parseTranslationOutput(output, texts.length);
+}
+
+// ── Block Language ──
+// Each block is translated from its own language: a language pinned to the
+// speaker (`languageDetection.speakers`), else what lang-detect.js makes of
+// the text, else the speaker's last detected language, else the popup's
+// source language. The Google tab has one source language for all of its
+// text, so with detection on it is opened with sl=auto.
+const DEFAULT_LANGUAGE_DETECTION = { enabled: true, speakers: {} };
+let languageDetection = DEFAULT_LANGUAGE_DETECTION;
+const speakerLangs = new Map();  // speaker → last detected language
+
+function applyLanguageDetection(value) {
+  languageDetection = { ...DEFAULT_LANGUAGE_DETECTION, ...value };
+  speakerLangs.clear();
+}
+
+function loadLanguageDetection() {
+  getSettings(['languageDetection']).then(s => applyLanguageDetection(s.languageDetection));
+}
+
+// Also after a service worker restart mid-call; pins apply at once
+loadLanguageDetection();
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.languageDetection) loadLanguageDetection();
+});
+
+function blockLanguage(entry) {
+  const pinned = languageDetection.speakers?.[entry.speaker];
+  if (pinned) return pinned;
+  if (!languageDetection.enabled) return state.sourceLang;
+  const detected = detectLanguage(entry.text, { preferred: state.sourceLang });
+  if (detected) speakerLangs.set(entry.speaker, detected);
+  return detected || speakerLangs.get(entry.speaker) || state.sourceLang;
+}
+
+function googleSourceLang() {
+  return languageDetection.enabled ? 'auto' : state.sourceLang;
+}
+
+// ── Session Archive ──
+// Each activation is archived by session-store.js: the transcript is saved
+// a few seconds after it changes and once more when the session ends.
+// `sessionArchive` setting: { enabled, retentionDays } (0 keeps sessions forever).
+const DEFAULT_SESSION_ARCHIVE = { enabled: true, retentionDays: 30 };
+const SESSION_SAVE_MS = 5000;
+let sessionSaveTimer = null;
+
+async function startSession() {
+  state.sessionId = null;
+  const { sessionArchive } = await getSettings(['sessionArchive']);
+  const archive = { ...DEFAULT_SESSION_ARCHIVE, ...sessionArchive };
+  if (!archive.enabled) return;
+  try {
+    await pruneSessions(archive.retentionDays);
+    state.sessionId = await createSession({
+      sourceLang: state.sourceLang,
+      targetLangs: state.targetLangs,
+      translationBackend: state.translationBackend,
+    });
+  } catch (err) {
+    console.warn('[RTE] Session archive unavailable:', err.message);
+  }
+}
+
+function scheduleSessionSave() {
+  if (!state.sessionId || sessionSaveTimer) return;
+  sessionSaveTimer = setTimeout(() => { sessionSaveTimer = null; saveSession(); }, SESSION_SAVE_MS);
+}
+
+async function saveSession(fields = {}) {
+  const id = state.sessionId;
+  if (!id) return;
+  const patch = { ...fields, transcript: state.fullTranscript.map(e => ({ ...e })) };
+  if (state.platform) patch.platform = state.platform;
+  if (state.meetingTabId) {
+    try {
+      const tab = await chrome.tabs.get(state.meetingTabId);
+      patch.meetingUrl = tab.url;
+      patch.meetingTitle = tab.title;
+    } catch {}
+  }
+  try { await updateSession(id, patch); } catch (err) { console.warn('[RTE] Session save failed:', err.message); }
+}
+
+async function endSession() {
+  clearTimeout(sessionSaveTimer); sessionSaveTimer = null;
+  await saveSession({ endedAt: Date.now() });
+  state.sessionId = null;
+}
+
+function recordAIResponse(mode, display, answer) {
+  if (!state.sessionId || !answer) return;
+  const target = display.target ? `${display.target.speaker}: ${display.target.text}` : '';
+  addAIResponse(state.sessionId, {
+    at: Date.now(),
+    mode,
+    label: display.label || DEFAULT_TEMPLATES[mode]?.label || mode,
+    prompt: display.question || target,
+    auto: !!display.auto,
+    answer,
+  }).catch(() => {});
+}
+
+// Requests from the history page
+async function handleHistoryRequest(msg) {
+  try {
+    switch (msg.type) {
+      case 'listSessions':
+        return { sessions: await listSessions(msg.filters), activeSessionId: state.sessionId };
+      case 'getSession':
+        // The live session: save first so the page sees the latest lines
+        if (msg.id === state.sessionId) await saveSession();
+        return { session: await getSession(msg.id), active: msg.id === state.sessionId };
+      case 'searchSessions':
+        if (state.sessionId) await saveSession();
+        return { hits: await searchSessions(msg.query, msg.filters) };
+      case 'deleteSession':
+        if (msg.id === state.sessionId) return { error: 'This session is still being recorded. Deactivate RTE first.' };
+        await deleteSession(msg.id);
+        return { ok: true };
+      case 'clearSessions':
+        // The live session goes too; the rest of this meeting is not archived
+        state.sessionId = null;
+        saveState();
+        await clearSessions();
+        return { ok: true };
+      case 'generateRecap': {
+        if (msg.id === state.sessionId) await saveSession();
+        const session = await getSession(msg.id);
+        if (!session) return { error: 'This session no longer exists.' };
+        const { meetingRecap } = await getSettings(['meetingRecap']);
+        const recap = await summarizeMeeting(session.transcript, recapLanguage(meetingRecap, session));
+        await storeRecap(session.id, recap);
+        return { recap };
+      }
+      case 'getLiveSession': {
+        if (state.sessionId) {
+          await saveSession();
+          const session = await getSession(state.sessionId);
+          if (session) return { session, active: true };
+        }
+        // Archive turned off: the in-memory transcript, without AI answers
+        if (!state.active || !state.fullTranscript.length) return { session: null };
+        let meeting = {};
+        try { if (state.meetingTabId) meeting = await chrome.tabs.get(state.meetingTabId); } catch {}
+        return {
+          session: {
+            id: null,
+            startedAt: state.fullTranscript[0].timestamp || Date.now(),
+            endedAt: null,
+            platform: state.platform,
+            meetingUrl: meeting.url || '',
+            meetingTitle: meeting.title || '',
+            transcript: state.fullTranscript,
+            aiResponses: [],
+            sourceLang: state.sourceLang,
+            targetLangs: state.targetLangs,
+          },
+          active: true,
+        };
+      }
+    }
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+// After a service worker restart the stored transcript is only its last
+// 200 entries (and Meet's committed captions are gone); the archive has it all
+async function restoreSessionTranscript() {
+  try {
+    const session = await getSession(state.sessionId);
+    if (!session) { state.sessionId = null; return; }
+    if (session.transcript.length > state.fullTranscript.length) {
+      state.fullTranscript = session.transcript;
+      for (const e of state.fullTranscript) e.id ??= ++state.lineSeq;
+    }
+    if (state.platform === 'meet') {
+      committedBlocks.length = 0;
+      committedBlocks.push(...state.fullTranscript.map(e => ({ speaker: e.speaker, text: e.text, timestamp: e.timestamp })));
+    }
+  } catch (err) {
+    console.warn('[RTE] Session restore failed:', err.message);
+  }
+}
+
+// ── Meeting Recap ──
+// When the meeting ends (deactivation, or the meeting tab closing while
+// active) summarizer.js writes a recap of the whole transcript: summary,
+// decisions, action items and open questions. It is stored with the
+// session and shown in the meeting page's overlay.
+// `meetingRecap` setting: { enabled, language: 'user' | 'meeting' }
+const DEFAULT_MEETING_RECAP = { enabled: false, language: 'user' };
+const RECAP_MIN_LINES = 3;          // Shorter meetings are not worth a recap
+const RECAP_MAX_TOKENS = 2000;      // Output room unless the 'recap' model settings say otherwise
+const RECAP_TIMEOUT_MS = 120000;    // The recap arrives in one non-streamed response
+const recapRuns = new Map();        // sessionId → run number; only the newest run is stored
+
+function recapLanguage(meetingRecap, { sourceLang, targetLangs } = state) {
+  const { language } = { ...DEFAULT_MEETING_RECAP, ...meetingRecap };
+  if (language === 'meeting') return sourceLang && sourceLang !== 'auto' ? languageName(sourceLang) : 'the main language of the transcript';
+  return languageName(targetLangs?.[0] || state.targetLang);
+}
+
+async function summarizeMeeting(transcript, language, onProgress) {
+  const settings = await getSettings(AI_SETTINGS_KEYS);
+  const primary = resolveProvider(settings);
+  const params = { maxTokens: RECAP_MAX_TOKENS, ...getModelParams(settings.modelSettings, 'recap') };
+  const limits = primary ? resolveModel(primary, params) : {};
+  const budget = getInputBudget({ ...limits, cap: settings.contextBudget ?? DEFAULT_CONTEXT_BUDGET });
+  const retryOpts = getRetryOptions(settings);
+  const retry = { ...retryOpts, timeoutMs: Math.max(retryOpts.timeoutMs, RECAP_TIMEOUT_MS) };
+  const complete = (system, user) => runWithFailover(settings, 'recap',
+    (target, modeParams) => callAI(target, system, user, { maxTokens: RECAP_MAX_TOKENS, ...modeParams }, retry));
+  return summarizeTranscript(transcript, { budget, language, complete, onProgress });
+}
+
+async function storeRecap(sessionId, recap) {
+  if (!sessionId) return;
+  try { await updateSession(sessionId, { recap }); } catch (err) { console.warn('[RTE] Recap save failed:', err.message); }
+}
+
+/**
+ * Recap an ended meeting if the setting is on. `transcript` is the live one;
+ * the archived session may hold earlier lines. Progress and the result go
+ * to the meeting tab's overlay, if it is still open.
+ */
+async function recapMeeting({ sessionId, transcript, tabId }) {
+  const { meetingRecap } = await getSettings(['meetingRecap']);
+  if (!{ ...DEFAULT_MEETING_RECAP, ...meetingRecap }.enabled) return;
+
+  let lines = transcript;
+  if (sessionId) {
+    try {
+      const session = await getSession(sessionId);
+      if (session?.transcript.length > lines.length) lines = session.transcript;
+    } catch {}
+  }
+  if (lines.length < RECAP_MIN_LINES) return;
+
+  const run = (recapRuns.get(sessionId) || 0) + 1;
+  recapRuns.set(sessionId, run);
+  const show = (content, isError = false) => {
+    if (tabId) safeSendTab(tabId, { type: 'showOverlay', mode: 'recap', content, isError });
+  };
+  show(null);
+  try {
+    const recap = await summarizeMeeting(lines, recapLanguage(meetingRecap), (done, total) => {
+      if (total > 1) show(`_Summarising the meeting… ${done} of ${total} steps done_`);
+    });
+    if (recapRuns.get(sessionId) !== run) return;
+    await storeRecap(sessionId, recap);
+    show(formatRecap(recap) + (sessionId ? '\n\n_Saved with this meeting in RTE History._' : ''));
+  } catch (err) {
+    console.warn('[RTE] Meeting recap failed:', err.message);
+    show(`Meeting recap failed: ${err.message}`, true);
+  } finally {
+    if (recapRuns.get(sessionId) === run) recapRuns.delete(sessionId);
+  }
+}
+
+// ── Rolling Summary ──
+// Transcript lines that have left the AI window (the last TRANSCRIPT_WINDOW
+// entries) are summarised a segment at a time, in the background, so AI
+// answers and Catch Me Up see the whole call without sending all of it.
+// When the segment summaries grow too long the older half is merged into one.
+// `catchUp` setting: { window: 'since-me' | minutes | 'all', rollingSummary }
+const DEFAULT_CATCH_UP = { window: 'since-me', rollingSummary: true };
+const SEGMENT_MIN_LINES = 12;             // Lines gathered before a segment is summarised
+const SEGMENT_MAX_LINES = 40;
+const ROLLING_SUMMARY_MAX_TOKENS = 900;   // Longer than this, the older half is merged
+const ROLLING_SUMMARY_DELAY_MS = 4000;
+const ROLLING_SUMMARY_RETRY_MS = 60000;   // Pause after a failed request
+let catchUpSettings = DEFAULT_CATCH_UP;
+let rollingSummaryTimer = null;
+let rollingSummaryRunning = false;
+let rollingSummaryRun = 0;                // Bumped on reset; results of older runs are dropped
+let rollingSummaryPausedUntil = 0;
+
+function loadCatchUp() {
+  getSettings(['catchUp']).then(s => { catchUpSettings = { ...DEFAULT_CATCH_UP, ...s.catchUp }; });
+}
+
+loadCatchUp();
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.catchUp) loadCatchUp();
+});
+
+// A request still in flight finishes on its own; its result is dropped
+function resetRollingSummary() {
+  clearTimeout(rollingSummaryTimer); rollingSummaryTimer = null;
+  rollingSummaryRun++;
+  rollingSummaryRunning = false;
+  rollingSummaryPausedUntil = 0;
+  state.summarySegments = [];
+}
+
+// Id of the last transcript entry the rolling summary covers
+function summarizedThrough() {
+  return state.summarySegments[state.summarySegments.length - 1]?.lastId || 0;
+}
+
+// Entries the rolling summary does not cover yet
+function unsummarizedLines() {
+  const through = summarizedThrough();
+  return state.fullTranscript.filter(e => e.id > through);
+}
+
+/**
+ * Transcript entries for AI prompts: the last TRANSCRIPT_WINDOW, or everything
+ * after the rolling summary if that is more, so no line falls in between.
+ */
+function contextTranscript() {
+  const recent = state.fullTranscript.slice(-TRANSCRIPT_WINDOW);
+  if (!catchUpSettings.rollingSummary) return recent;
+  const rest = unsummarizedLines();
+  return rest.length > recent.length ? rest : recent;
+}
+
+function clockTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function rollingSummaryText(segments) {
+  return segments.map(s => `[${clockTime(s.from)}–${clockTime(s.to)}] ${s.summary}`).join('\n');
+}
+
+function scheduleRollingSummary() {
+  if (!catchUpSettings.rollingSummary || rollingSummaryTimer || rollingSummaryRunning) return;
+  const wait = Math.max(ROLLING_SUMMARY_DELAY_MS, rollingSummaryPausedUntil - Date.now());
+  rollingSummaryTimer = setTimeout(() => { rollingSummaryTimer = null; updateRollingSummary(); }, wait);
+}
+
+async function completeSummary({ system, user }) {
+  const settings = await getSettings(AI_SETTINGS_KEYS);
+  const retry = getRetryOptions(settings);
+  return (await runWithFailover(settings, 'summary', (target, params) => callAI(target, system, user, params, retry))).trim();
+}
+
+async function updateRollingSummary() {
+  if (!state.active || rollingSummaryRunning) return;
+  // Only lines that have left the AI window are final enough to summarise
+  const settled = state.fullTranscript.length - TRANSCRIPT_WINDOW;
+  const through = summarizedThrough();
+  const pending = state.fullTranscript.slice(0, Math.max(0, settled)).filter(e => e.id > through);
+  if (pending.length < SEGMENT_MIN_LINES) return;
+
+  const run = rollingSummaryRun;
+  rollingSummaryRunning = true;
+  try {
+    const settings = await getSettings(AI_SETTINGS_KEYS);
+    if (!resolveProvider(settings) && !settings.fallbackProvider) return;
+
+    const lines = pending.slice(0, SEGMENT_MAX_LINES);
+    const summary = await completeSummary(buildSegmentPrompt(lines));
+    if (run !== rollingSummaryRun || !summary) return;
+    state.summarySegments.push({
+      from: lines[0].timestamp, to: lines[lines.length - 1].timestamp, lastId: Math.max(...lines.map(e => e.id)), summary,
+    });
+
+    const segments = state.summarySegments;
+    if (segments.length > 2 && estimateTokens(rollingSummaryText(segments)) > ROLLING_SUMMARY_MAX_TOKENS) {
+      const older = segments.slice(0, Math.ceil(segments.length / 2));
+      const merged = await completeSummary(buildCompactPrompt(older.map(s => s.summary)));
+      if (run !== rollingSummaryRun) return;
+      const end = older[older.length - 1];
+      if (merged) segments.splice(0, older.length, { from: older[0].from, to: end.to, lastId: end.lastId, summary: merged });
+    }
+    saveState();
+  } catch (err) {
+    console.warn('[RTE] Rolling summary failed:', err.message);
+    if (run === rollingSummaryRun) rollingSummaryPausedUntil = Date.now() + ROLLING_SUMMARY_RETRY_MS;
+  } finally {
+    if (run === rollingSummaryRun) rollingSummaryRunning = false;
+  }
+  // A long backlog (e.g. after a restart) is worked through a segment at a time
+  if (run === rollingSummaryRun) scheduleRollingSummary();
+}
+
+// ── Catch Me Up ──
+// Ctrl+Shift+L: what happened in the last N minutes or since the user last
+// spoke, answered from the rolling summary plus the lines it does not cover yet.
+
+/**
+ * Summary and transcript for a catch-up, or a message when there is nothing to cover.
+ * @returns {{since: string, summary: string, transcript: object[]} | {message: string}}
+ */
+function catchUpScope(window) {
+  const transcript = state.fullTranscript;
+  let from = 0;
+  let since = 'the meeting so far';
+  if (window === 'since-me') {
+    const mine = transcript.findLastIndex(e => e.speaker === 'You');
+    if (mine === transcript.length - 1 && mine >= 0) return { message: 'Nothing has been said since you last spoke.' };
+    if (mine >= 0) {
+      from = transcript[mine].timestamp || 0;
+      since = `everything since I last spoke (at ${clockTime(from)})`;
+    }
+  } else if (Number(window) > 0) {
+    from = Date.now() - Number(window) * 60000;
+    since = `the last ${window} minutes`;
+  }
+
+  const segments = state.summarySegments.filter(s => s.to >= from);
+  const lines = unsummarizedLines().filter(e => e.timestamp >= from);
+  if (!segments.length && !lines.length) {
+    return { message: transcript.length ? `Nothing was said in ${since}.` : 'No conversation has been captured yet. Make sure captions (CC) are on in the meeting.' };
+  }
+  return { since, summary: rollingSummaryText(segments), transcript: lines };
+}
+
+async function runCatchUp(tab) {
+  const scope = catchUpScope(catchUpSettings.window);
+  chatThread = null;
+  if (scope.message) {
+    safeSendTab(tab, { type: 'showOverlay', mode: 'catch-up', content: scope.message, isError: false });
+    return;
+  }
+  // Written in the user's own language, without document passages
+  const answer = await runOverlayRequest(tab, 'catch-up', {}, {
+    vars: { since: scope.since },
+    context: { summary: scope.summary, transcript: scope.transcript, withDocuments: false, answerLanguage: 'user' },
+  });
+  if (answer) {
+    chatThread = { tabId: tab, messages: [{ role: 'user', content: `(Catch me up on ${scope.since})` }, { role: 'assistant', content: answer }] };
+  }
+}
+
 // ── Spelling Correction ──
 async function correctSpelling(text) {
   if (!text || text.trim().length < 8) return text;
 
-  const settings = await getSettings(['aiProvider', 'openaiKey', 'anthropicKey']);
+  const settings = await getSettings(AI_SETTINGS_KEYS);
+  if (!resolveProvider(settings) && !settings.fallbackProvider) return text;
 
   const prompt = 'Fix spelling/grammar in the transcript below. Output ONLY the corrected text, nothing else. Keep the same format. If already correct, return unchanged. NEVER add explanations or commentary.';
 
-  let result;
-  if (settings.aiProvider === 'anthropic' && settings.anthropicKey) result = await callAI('anthropic', prompt, text, settings.anthropicKey);
-  else if (settings.openaiKey) result = await callAI('openai', prompt, text, settings.openaiKey);
-  else return text;
-
+  const retry = getRetryOptions(settings);
+  const result = await runWithFailover(settings, 'spelling', (target, params) => callAI(target, prompt, text, params, retry));
   if (!result) return text;
 
   const bad = ['i notice', "i'm ready", 'please provide', 'here is', 'here are', 'i can help', "i'd be happy", 'let me', 'it appears', 'to help you', "you've provided"];
@@ -772,151 +1708,317 @@ async function correctSpelling(text) {
 }
 
 // ── AI: Build Prompt Context ──
-function buildAIContext(requestType, documents) {
-  const docs = (documents || []).map((d, i) => `[Doc ${i + 1}: ${d.name}]\n${d.content}`).join('\n\n');
-
-  // Use last 15 entries for richer context
-  const transcript = state.fullTranscript.slice(-15).map(e => `${e.speaker}: ${e.text}`).join('\n');
-
-  const docNote = docs
-    ? '\n\nREFERENCE DOCUMENTS are provided. Use them as ~30% of your knowledge — blend relevant facts naturally. Do NOT quote them directly.'
-    : '';
-
-  const COMMON_RULES = `
-CRITICAL — Read the transcript VERY carefully:
-- Read every word in the conversation EXACTLY as written. Do NOT guess, skip, abbreviate, or change any words.
-- If someone says "AI agent", respond about "AI agent" — NOT "AI AG", "AGI", or anything else.
-- The transcript comes from speech recognition and may contain minor errors, but respond to the EXACT words as closely as possible.
-- Pay close attention to the LAST few sentences — that is what the other party is currently asking or talking about.
-
-Tone and style:
-- Be professional but warm and approachable — like a friendly, experienced colleague
-- Be practical and useful — give answers people can actually use, not textbook definitions
-- Sound natural — like a real person talking, not a chatbot or encyclopedia
-- Keep it conversational — avoid stiff, formal, or overly academic language
-- If they asked about your experience/skills, respond in first person ("I have...", "I've worked on...")`;
-
-  const PROMPTS = {
-    'question': `You are helping someone in a live meeting. Analyze the last few sentences the other party said and suggest 2-3 smart follow-up questions.
-
-${COMMON_RULES}
-
-Additional rules for questions:
-- Questions must relate directly to what was JUST discussed (the most recent sentences)
-- Make them sound natural, like a colleague would ask
-- Show you've been paying attention to the specific words and topics mentioned
-- Vary between clarifying questions and deeper exploration${docNote}`,
-
-    'simple-answer': `You are helping someone respond in a live meeting. Analyze the last few sentences the other party said and generate a response.
-
-${COMMON_RULES}
-
-Additional rules for quick answers:
-- Give a direct, concise answer (2-4 sentences)
-- Answer the most recent thing the other party said or asked
-- Be specific, not vague — use concrete details relevant to what they actually said
-- Start with the answer immediately — no preamble like "Great question" or "Sure"
-- Match the energy of the conversation (casual or formal)${docNote}`,
-
-    'detailed-answer': `You are a knowledgeable professional helping someone respond in a live meeting. Analyze the last few sentences the other party said and generate a thorough response.
-
-${COMMON_RULES}
-
-Additional rules for detailed answers:
-- Give a well-structured answer (use bullet points or numbered lists when helpful)
-- Be specific with details, examples, and practical insights
-- Answer the most recent thing the other party said or asked
-- Start with the key answer, then elaborate with supporting points
-- Don't be generic — tailor everything to the specific words and context of the conversation${docNote}`,
+const CITATION_NOTE = '\nEach passage is labelled like [S1]. When a point comes from a passage, put its label right after that sentence, e.g. "…within 30 days [S2]." Only use labels that appear in the reference documents.';
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+function languageName(code) {
+  try { return languageNames.of(code) || code; } catch { return code || ''; }
+}
+
+// `answerLanguage` setting: 'meeting' (default), 'user' or 'bilingual'. Bilingual
+// answers put the translation after a marker line the overlay splits on.
+const TRANSLATION_MARKER = '[[translation]]';
+
+function answerLanguageNote(answerLanguage) {
+  const meeting = state.sourceLang && state.sourceLang !== 'auto'
+    ? languageName(state.sourceLang) : 'the language the other party is speaking in the transcript';
+  const user = languageName(state.targetLang);
+  if (answerLanguage === 'user') return `\n\nAnswer language: write your whole response in ${user}.`;
+  if (answerLanguage === 'bilingual' && state.targetLang !== state.sourceLang) {
+    return `\n\nAnswer language: write the response in ${meeting} — the user will say it aloud. Then add a line containing only ${TRANSLATION_MARKER} followed by a ${user} translation of the response.`;
+  }
+  return `\n\nAnswer language: write your whole response in ${meeting}.`;
+}
+
+/**
+ * Build the system prompt and user message from a mode or command template.
+ * Transcript and retrieved document passages are fitted into the model's token
+ * budget by the context planner; `notice` describes anything that had to be
+ * dropped ('' if nothing).
+ * Each passage is labelled [S1], [S2]… for citations; `sources` maps the labels
+ * back to the passage (chunk id, name and a snippet for the overlay).
+ * @param {{system: string, user: string}} template
+ * @param {Array<{id?: string, name: string, content: string}>} documents - passages, best match first
+ * @param {{model?: string, maxTokens?: number, budgetCap?: number, reserveText?: string}} limits
+ *   reserveText — other prompt text (chat history) the budget must leave room for
+ * @param {object} [extraVars] - additional template variables
+ * @param {string} [answerLanguage] - 'meeting', 'user' or 'bilingual'
+ * @param {{transcript?: object[], summary?: string}} [context] - transcript entries and
+ *   rolling summary to use instead of the recent ones (Catch Me Up)
+ */
+function buildAIContext(template, documents, limits = {}, extraVars = {}, answerLanguage = 'meeting', context = {}) {
+  const last = state.fullTranscript[state.fullTranscript.length - 1];
+  const vars = {
+    lastSpeaker: last?.speaker || '',
+    sourceLang: languageName(state.sourceLang),
+    targetLang: languageName(state.targetLang),
+    summary: context.summary ?? (catchUpSettings.rollingSummary ? rollingSummaryText(state.summarySegments) : ''),
+    ...extraVars,
   };
 
+  const languageNote = answerLanguageNote(answerLanguage);
+
+  // Budget against the templates with transcript and documents still empty
+  const skeleton = renderTemplate(template.system, vars) + languageNote + CITATION_NOTE + renderTemplate(template.user, vars) + (limits.reserveText || '');
+  const plan = planContext({
+    transcript: context.transcript || contextTranscript(),
+    documents: documents || [],
+    budget: getInputBudget({ ...limits, systemPrompt: skeleton, cap: limits.budgetCap }),
+  });
+  const docs = plan.documents.map((d, i) => `[S${i + 1}] ${d.name}\n${d.content}`).join('\n\n');
+  const sources = plan.documents.map((d, i) => ({
+    label: `S${i + 1}`, id: d.id || d.name, name: d.name,
+    snippet: d.content.length > SOURCE_SNIPPET_CHARS ? d.content.slice(0, SOURCE_SNIPPET_CHARS) + ' …' : d.content,
+  }));
+  const transcript = plan.transcriptLines.join('\n');
+  Object.assign(vars, { transcript, documents: docs });
+
+  const systemPrompt = renderTemplate(template.system, vars) + languageNote + (docs ? CITATION_NOTE : '');
+
   let userMsg;
-  if (!transcript || transcript.trim().length === 0) {
+  if ((!transcript || transcript.trim().length === 0) && !vars.question && !vars.summary) {
     // No transcript yet — give a helpful response instead of confusing the AI
     userMsg = (docs ? `=== REFERENCE DOCUMENTS ===\n${docs}\n\n` : '')
       + 'NOTE: No conversation transcript has been captured yet. The meeting captions may not be enabled or no one has spoken yet.\n\n'
       + 'Please respond with: "Waiting for conversation... Please make sure Closed Captions (CC) are enabled in your meeting. Once someone speaks, press the shortcut again to get a response."';
   } else {
-    userMsg = (docs ? `=== REFERENCE DOCUMENTS ===\n${docs}\n\n` : '')
-      + `=== LIVE CONVERSATION (read every word carefully) ===\n${transcript}\n\n`
-      + 'Focus on the LAST few sentences above. What is the other person asking or talking about? Respond to EXACTLY that — using their exact words and topics.';
+    userMsg = renderTemplate(template.user, vars);
   }
 
-  return { systemPrompt: PROMPTS[requestType], userMessage: userMsg };
+  return { systemPrompt, userMessage: userMsg, notice: describeDropped(plan.dropped), sources };
 }
 
 // ── AI Calls ──
-async function callAI(provider, system, user, key) {
-  if (provider === 'anthropic') {
-    const r = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'x-api-key': key, 'anthropic-version': '2023-06-01', 'anthropic-dangerous-direct-browser-access': 'true' },
-      body: JSON.stringify({ model: 'claude-sonnet-4-20250514', max_tokens: 1024, system, messages: [{ role: 'user', content: user }] }),
-    });
-    if (!r.ok) { const e = await r.json().catch(() => ({})); throw new Error(e.error?.message || `API ${r.status}`); }
-    return (await r.json()).content[0].text;
-  } else {
-    const r = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}` },
-      body: JSON.stringify({ model: 'gpt-4o', messages: [{ role: 'system', content: system }, { role: 'user', content: user }], temperature: 0.4, max_tokens: 1024 }),
-    });
-    if (!r.ok) { const e = await r.json().catch(() => ({})); throw new Error(e.error?.message || `API ${r.status}`); }
-    return (await r.json()).choices[0].message.content;
+// Provider specifics (URLs, headers, body shape, SSE format) live in
+// ai-providers.js; these functions only handle transport.
+
+/**
+ * Per-mode model overrides from the `modelSettings` setting
+ * ({ spelling | question | simple-answer | detailed-answer | custom: {model, temperature, maxTokens} }).
+ * Blank fields fall back to the provider's defaults.
+ */
+function getModelParams(modelSettings, mode) {
+  const m = modelSettings?.[mode] || {};
+  const params = {};
+  if (m.model) params.model = m.model;
+  if (typeof m.temperature === 'number') params.temperature = m.temperature;
+  if (m.maxTokens > 0) params.maxTokens = m.maxTokens;
+  return params;
+}
+
+// ── Retry / Failover ──
+// 429s and 5xx responses are retried with exponential backoff (honouring
+// Retry-After). If the primary provider still fails or times out, the same
+// prompt goes to the optional fallback provider.
+const DEFAULT_AI_RETRY = { maxRetries: 2, timeoutSec: 30 };
+const RETRY_BASE_DELAY_MS = 800;
+const RETRY_MAX_DELAY_MS = 15000;
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+function getRetryOptions(settings) {
+  const r = { ...DEFAULT_AI_RETRY, ...(settings.aiRetry || {}) };
+  return { maxRetries: Math.max(0, Number(r.maxRetries) || 0), timeoutMs: Math.max(5, Number(r.timeoutSec) || DEFAULT_AI_RETRY.timeoutSec) * 1000 };
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(new DOMException('Aborted', 'AbortError')); return; }
+    const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    function onAbort() { clearTimeout(t); reject(new DOMException('Aborted', 'AbortError')); }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * fetch() with a per-attempt timeout (until response headers arrive) and
+ * retries for network errors, timeouts and retryable HTTP statuses.
+ */
+async function fetchWithRetry(provider, url, init, { signal, retry }) {
+  for (let attempt = 0; ; attempt++) {
+    const attemptCtl = new AbortController();
+    // Keep the attempt tied to the caller's signal; a returned response keeps
+    // the listener for the rest of the body read, failed attempts drop it
+    const onAbort = () => attemptCtl.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => attemptCtl.abort(), retry.timeoutMs);
+
+    let err, retryAfterMs = null, response = null;
+    try {
+      const r = await fetch(url, { ...init, signal: attemptCtl.signal });
+      if (r.ok) return (response = r);
+      const e = await r.json().catch(() => ({}));
+      err = new Error(provider.extractError(e) || `API ${r.status}`);
+      err.status = r.status;
+      err.retryable = RETRYABLE_STATUS.has(r.status);
+      retryAfterMs = parseRetryAfter(r.headers.get('retry-after'));
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      err = attemptCtl.signal.aborted
+        ? new Error(`${provider.label} did not respond within ${retry.timeoutMs / 1000}s`)
+        : new Error(`Could not reach ${provider.label}: ${e.message}`);
+      err.retryable = true;
+    } finally {
+      clearTimeout(timer);
+      if (!response) signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (!err.retryable || attempt >= retry.maxRetries) throw err;
+    const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt * (0.8 + Math.random() * 0.4);
+    await sleep(Math.min(retryAfterMs ?? backoff, RETRY_MAX_DELAY_MS), signal);
   }
 }
 
-async function streamAIResponse(requestType, tabId) {
-  const settings = await getSettings(['aiProvider', 'openaiKey', 'anthropicKey']);
-  const documents = (await chrome.storage.local.get(['documents'])).documents;
-  const key = settings.aiProvider === 'anthropic' ? settings.anthropicKey : settings.openaiKey;
-  if (!key) throw new Error('No API key configured. Set your key in extension settings.');
+/**
+ * Run `call(target, params)` on the primary provider, then on the fallback
+ * provider if the primary is not configured, or fails after its retries.
+ * Per-mode model names are provider-specific, so the fallback uses its own default model.
+ */
+async function runWithFailover(settings, mode, call) {
+  const params = getModelParams(settings.modelSettings, mode);
+  const { model: _primaryModel, ...fallbackParams } = params;
+  const primary = resolveProvider(settings);
+  const fallbackId = settings.fallbackProvider;
+  const fallback = fallbackId && fallbackId !== primary?.provider.id ? resolveProvider(settings, fallbackId) : null;
 
-  const { systemPrompt, userMessage } = buildAIContext(requestType, documents);
+  if (!primary && !fallback) throw new Error(`${getProvider(settings.aiProvider).label} is not configured. Set it up in extension settings.`);
+  if (!primary) return call(fallback, fallbackParams);
 
-  if (settings.aiProvider === 'anthropic' && settings.anthropicKey) await streamSSE('anthropic', systemPrompt, userMessage, settings.anthropicKey, tabId);
-  else await streamSSE('openai', systemPrompt, userMessage, settings.openaiKey, tabId);
+  try {
+    return await call(primary, params);
+  } catch (err) {
+    if (!fallback || err.name === 'AbortError' || err.partial) throw err;
+    console.log(`[RTE] ${primary.provider.label} failed (${err.message}); falling back to ${fallback.provider.label}`);
+    return call(fallback, fallbackParams);
+  }
 }
 
-async function streamSSE(provider, system, user, key, tabId) {
-  const isAnthropic = provider === 'anthropic';
+async function callAI(target, system, user, params = {}, retry = getRetryOptions({})) {
+  const { url, init } = buildRequest(target, { ...params, system, messages: [{ role: 'user', content: user }] });
+  const r = await fetchWithRetry(target.provider, url, init, { retry });
+  return target.provider.extractText(await r.json());
+}
 
-  const url = isAnthropic ? 'https://api.anthropic.com/v1/messages' : 'https://api.openai.com/v1/chat/completions';
-  const headers = isAnthropic
-    ? { 'Content-Type': 'application/json', 'x-api-key': key, 'anthropic-version': '2023-06-01', 'anthropic-dangerous-direct-browser-access': 'true' }
-    : { 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}` };
-  const body = isAnthropic
-    ? { model: 'claude-sonnet-4-20250514', max_tokens: 1024, stream: true, system, messages: [{ role: 'user', content: user }] }
-    : { model: 'gpt-4o', messages: [{ role: 'system', content: system }, { role: 'user', content: user }], temperature: 0.4, max_tokens: 1024, stream: true };
+/**
+ * Passages from the uploaded documents that best match the last few transcript
+ * turns (plus the typed chat message, if any). Falls back to the full documents if the index cannot be used.
+ */
+async function retrievePassages(documents, extraQuery = '') {
+  if (!documents || documents.length === 0) return [];
+  const query = [extraQuery, ...state.fullTranscript.slice(-RETRIEVAL_QUERY_TURNS).map(e => e.text)].join(' ');
+  try {
+    // Catches documents restored from sync or imported while the index was empty
+    await syncIndex(documents);
+    const hits = await queryIndex(query, RETRIEVAL_TOP_K);
+    return hits.map(h => ({ id: h.id, name: `${h.docName} (part ${h.index + 1})`, content: h.text }));
+  } catch (e) {
+    console.log('[RTE] Document index unavailable, sending full documents:', e.message);
+    return documents;
+  }
+}
+
+/**
+ * Stream an AI answer into the request's tab and resolve to the full text.
+ * @param {string} requestType - AI mode; also selects the per-mode model settings
+ * @param {object} req - tracked request from beginAIRequest
+ * @param {object} [opts]
+ * @param {{system: string, user: string}} [opts.template] - overrides the mode's template (custom commands)
+ * @param {Array<{role: string, content: string}>} [opts.history] - earlier chat turns, sent before the new message
+ * @param {object} [opts.vars] - extra template variables, e.g. { question }
+ * @param {object} [opts.context] - buildAIContext's transcript / summary override, plus
+ *   withDocuments (false skips document retrieval) and answerLanguage
+ */
+async function streamAIResponse(requestType, req, { template = null, history = [], vars = {}, context = {} } = {}) {
+  const settings = await getSettings(AI_SETTINGS_KEYS);
+  const documents = context.withDocuments === false
+    ? []
+    : await retrievePassages((await chrome.storage.local.get(['documents'])).documents, vars.question || vars.target);
+
+  // Budget the prompt for the primary provider's model, leaving room for the chat history
+  const primary = resolveProvider(settings);
+  const limits = primary ? resolveModel(primary, getModelParams(settings.modelSettings, requestType)) : {};
+  const budgetCap = settings.contextBudget ?? DEFAULT_CONTEXT_BUDGET;
+  const reserveText = history.map(m => m.content).join('\n');
+  const { systemPrompt, userMessage, notice, sources } = buildAIContext(
+    template || getTemplate(requestType, settings.promptTemplates), documents, { ...limits, budgetCap, reserveText }, vars,
+    context.answerLanguage || settings.answerLanguage, context);
+  if (notice) safeSendTab(req.tabId, { type: 'streamNotice', notice, requestId: req.id });
+  if (sources.length) safeSendTab(req.tabId, { type: 'streamSources', sources, requestId: req.id });
+
+  const messages = [...history, { role: 'user', content: userMessage }];
+  const retry = getRetryOptions(settings);
+  return runWithFailover(settings, requestType, (target, params) => streamSSE(target, systemPrompt, messages, req, params, retry));
+}
 
-  const r = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
-  if (!r.ok) { const e = await r.json().catch(() => ({})); throw new Error(e.error?.message || `API ${r.status}`); }
+/**
+ * Stream a completion into the request's tab as streamChunk messages and
+ * resolve to the text streamed so far (complete unless aborted).
+ * Errors after the first token are marked `partial` — the answer is already
+ * half-shown, so they are not retried on the fallback provider.
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {{id: number, controller: AbortController, tabId: number}} req
+ */
+async function streamSSE(target, system, messages, req, params = {}, retry = getRetryOptions({})) {
+  const { provider } = target;
+  const { url, init } = buildRequest(target, { ...params, system, messages, stream: true });
+  const signal = req.controller.signal;
+
+  const r = await fetchWithRetry(provider, url, init, { signal, retry });
 
   const reader = r.body.getReader();
   const decoder = new TextDecoder();
   let buf = '';
+  let text = '';
+
+  // A body that stops arriving fails like a request that never answered —
+  // before the first token that means the fallback provider takes over
+  let stalled = false;
+  let idleTimer = null;
+  const resetIdle = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => { stalled = true; reader.cancel().catch(() => {}); }, retry.timeoutMs);
+  };
 
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    buf += decoder.decode(value, { stream: true });
-    const lines = buf.split('\n');
-    buf = lines.pop() || '';
-
-    for (const line of lines) {
-      const t = line.trim();
-      if (!t.startsWith('data: ')) continue;
-      const d = t.slice(6);
-      if (d === '[DONE]') return;
-      try {
-        const p = JSON.parse(d);
-        const token = isAnthropic
-          ? (p.type === 'content_block_delta' ? p.delta?.text : null)
-          : p.choices?.[0]?.delta?.content;
-        if (token) safeSendTab(tabId, { type: 'streamChunk', token });
-      } catch {}
+  try {
+    resetIdle();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (stalled) throw new Error(`${provider.label} stopped responding for ${retry.timeoutMs / 1000}s`);
+      if (done) break;
+      resetIdle();
+      if (signal.aborted) { reader.cancel().catch(() => {}); return text; }
+      buf += decoder.decode(value, { stream: true });
+      const lines = buf.split('\n');
+      buf = lines.pop() || '';
+
+      for (const line of lines) {
+        const t = line.trim();
+        if (!t.startsWith('data:')) continue;
+        const d = t.slice(5).trim();
+        if (d === '[DONE]') return text;
+        try {
+          const token = provider.extractStreamToken(JSON.parse(d));
+          if (token) { text += token; safeSendTab(req.tabId, { type: 'streamChunk', token, requestId: req.id }); }
+        } catch {}
+      }
     }
+  } catch (err) {
+    err.partial = text.length > 0;
+    throw err;
+  } finally {
+    clearTimeout(idleTimer);
   }
+  return text;
 }
 
 // ── Utilities ──
@@ -0,0 +1,231 @@
+// ============================================================
+// RTE - Meeting Session Archive
+// Every activation is recorded as a session in IndexedDB: when it
+// started and ended, the meeting page, the languages, the full
+// transcript with its translations and every AI response. The
+// service worker saves the live transcript as it grows; this
+// module merges it into what is already archived, so a transcript
+// that restarts shorter (a service worker restart, Teams dropping
+// old captions) never loses earlier lines.
+// ============================================================
+
+const DB_NAME = 'rte-sessions';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEARCH_MAX_HITS = 200;
+
+let dbPromise = null;
+
+// ── IndexedDB helpers ──
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+      store.createIndex('startedAt', 'startedAt');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Read-modify-write one session in a single transaction
+async function modifySession(id, change) {
+  const db = await openDB();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  const store = tx.objectStore(SESSION_STORE);
+  const session = await promisify(store.get(id));
+  if (session) {
+    change(session);
+    store.put(session);
+  }
+  await txDone(tx);
+}
+
+/**
+ * The archived transcript updated from `live`. Entries are matched by the id
+ * the service worker gives each transcript line: an archived line is replaced
+ * by the live one with its id (it may have grown or been corrected), and new
+ * lines go after the live line before them — or at the end. Live lines the
+ * archive has without an id (saved before lines had ids) are not added twice.
+ */
+function mergeTranscript(archived, live) {
+  if (!archived.length) return live;
+  if (!live.length) return archived;
+  const known = new Map(archived.filter(e => e.id).map(e => [e.id, e]));
+  const unnumbered = new Set(archived.filter(e => !e.id).map(e => e.speaker + '\n' + e.text));
+  const updated = new Map();
+  const added = new Map();  // id of the line before → new lines after it (null: at the end)
+  let before = null;
+  for (const e of live) {
+    if (e.id && known.has(e.id)) {
+      updated.set(e.id, e);
+      before = e.id;
+      continue;
+    }
+    if (unnumbered.has(e.speaker + '\n' + e.text)) continue;
+    if (!added.has(before)) added.set(before, []);
+    added.get(before).push(e);
+  }
+
+  const merged = [];
+  for (const e of archived) {
+    merged.push(updated.get(e.id) || e);
+    if (e.id && added.has(e.id)) merged.push(...added.get(e.id));
+  }
+  return merged.concat(added.get(null) || []);
+}
+
+// ── Sessions ──
+
+/**
+ * Start a session.
+ * @param {object} meta - sourceLang, targetLangs, translationBackend, …
+ * @returns {Promise<string>} session id
+ */
+export async function createSession(meta) {
+  const session = {
+    id: crypto.randomUUID(),
+    startedAt: Date.now(),
+    endedAt: null,
+    platform: null,
+    meetingUrl: '',
+    meetingTitle: '',
+    transcript: [],
+    aiResponses: [],
+    ...meta,
+  };
+  const db = await openDB();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  tx.objectStore(SESSION_STORE).put(session);
+  await txDone(tx);
+  return session.id;
+}
+
+/**
+ * Update session fields. A `transcript` is merged into the archived one.
+ */
+export async function updateSession(id, patch) {
+  const { transcript, ...fields } = patch;
+  await modifySession(id, (session) => {
+    Object.assign(session, fields);
+    if (transcript) session.transcript = mergeTranscript(session.transcript, transcript);
+  });
+}
+
+/**
+ * Record an AI response: { at, mode, label, prompt, auto, answer }.
+ */
+export async function addAIResponse(id, response) {
+  await modifySession(id, (session) => { session.aiResponses.push(response); });
+}
+
+export async function getSession(id) {
+  const db = await openDB();
+  return (await promisify(db.transaction(SESSION_STORE).objectStore(SESSION_STORE).get(id))) || null;
+}
+
+async function allSessions() {
+  const db = await openDB();
+  const all = await promisify(db.transaction(SESSION_STORE).objectStore(SESSION_STORE).index('startedAt').getAll());
+  return all.reverse();
+}
+
+// Session metadata filters: { platform, from, to (ms), speaker }
+function matchesFilters(session, { platform, from, to, speaker } = {}) {
+  if (platform && session.platform !== platform) return false;
+  if (from && session.startedAt < from) return false;
+  if (to && session.startedAt > to) return false;
+  if (speaker && !session.transcript.some(e => e.speaker === speaker)) return false;
+  return true;
+}
+
+function summary({ transcript, aiResponses, ...meta }) {
+  return {
+    ...meta,
+    lineCount: transcript.length,
+    responseCount: aiResponses.length,
+    speakers: [...new Set(transcript.map(e => e.speaker))],
+  };
+}
+
+/**
+ * Sessions matching `filters`, without their transcript and responses, newest first.
+ */
+export async function listSessions(filters) {
+  return (await allSessions()).filter(s => matchesFilters(s, filters)).map(summary);
+}
+
+/**
+ * Transcript lines across all sessions containing every word of `query`
+ * (case-insensitive, in the original or the translation), newest session first.
+ * @param {string} query
+ * @param {{platform?: string, from?: number, to?: number, speaker?: string}} [filters]
+ * @returns {Promise<Array<{session: object, index: number, speaker: string, text: string, translatedText?: string, timestamp?: number}>>}
+ */
+export async function searchSessions(query, filters = {}) {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return [];
+  const hits = [];
+  for (const session of await allSessions()) {
+    if (!matchesFilters(session, filters)) continue;
+    const meta = summary(session);
+    session.transcript.forEach((e, index) => {
+      if (hits.length >= SEARCH_MAX_HITS) return;
+      if (filters.speaker && e.speaker !== filters.speaker) return;
+      const haystack = `${e.text}\n${e.translatedText || ''}`.toLowerCase();
+      if (!terms.every(t => haystack.includes(t))) return;
+      hits.push({ session: meta, index, speaker: e.speaker, text: e.text, translatedText: e.translatedText, timestamp: e.timestamp });
+    });
+    if (hits.length >= SEARCH_MAX_HITS) break;
+  }
+  return hits;
+}
+
+export async function deleteSession(id) {
+  const db = await openDB();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  tx.objectStore(SESSION_STORE).delete(id);
+  await txDone(tx);
+}
+
+// Every session, for "Clear All Data"
+export async function clearSessions() {
+  const db = await openDB();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  tx.objectStore(SESSION_STORE).clear();
+  await txDone(tx);
+}
+
+/**
+ * Delete sessions started more than `retentionDays` ago (0 keeps everything).
+ * @returns {Promise<number>} sessions deleted
+ */
+export async function pruneSessions(retentionDays) {
+  if (!(retentionDays > 0)) return 0;
+  const db = await openDB();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  const index = tx.objectStore(SESSION_STORE).index('startedAt');
+  const keys = await promisify(index.getAllKeys(IDBKeyRange.upperBound(Date.now() - retentionDays * DAY_MS)));
+  for (const key of keys) tx.objectStore(SESSION_STORE).delete(key);
+  await txDone(tx);
+  return keys.length;
+}
@@ -0,0 +1,220 @@
+// ============================================================
+// RTE - Meeting Recap
+// Summarises a whole meeting transcript into a structured recap:
+// summary, key decisions, action items with owners and open
+// questions. A transcript too long for one prompt is summarised
+// map-reduce style — each chunk into notes of the same shape,
+// then the notes merged, in rounds if they do not fit one prompt
+// either. The AI call itself is passed in by the service worker.
+// Also builds the prompts for the rolling summary the service
+// worker keeps during a call (segment summaries, compaction).
+// ============================================================
+
+import { estimateTokens } from './context-planner.js';
+
+const MIN_CHUNK_TOKENS = 1000;   // Floor for tiny context budgets
+const LINE_OVERHEAD_TOKENS = 8;  // Time stamp, speaker and line break
+
+const RECAP_FORMAT = `Reply with JSON only — no code fences, no commentary — in exactly this shape:
+{"summary": "…", "decisions": ["…"], "actionItems": [{"task": "…", "owner": "…", "due": "…"}], "openQuestions": ["…"]}
+Use "" for an unknown owner or due date and [] for an empty list.`;
+
+const TRANSCRIPT_NOTE = 'The transcript comes from live speech recognition and may contain errors. "You" is the user. Only record what the transcript supports — never invent names, dates or decisions.';
+
+function notesSystem(part, parts, language) {
+  const scope = parts > 1 ? `part ${part} of ${parts} of a meeting transcript` : 'a meeting transcript';
+  return `You take notes on ${scope}.
+
+${TRANSCRIPT_NOTE}
+
+Record:
+- summary: what was discussed, in ${parts > 1 ? '2-5' : '3-8'} sentences
+- decisions: what was agreed or decided
+- actionItems: tasks someone took on or was asked to do, with the owner's name as it appears in the transcript and any deadline mentioned
+- openQuestions: questions raised and not answered
+
+Write all text in ${language}.
+
+${RECAP_FORMAT}`;
+}
+
+function mergeSystem(language) {
+  return `You merge notes taken on consecutive parts of one meeting into a single recap.
+
+- summary: the whole meeting in 3-8 sentences, in the order things were discussed
+- decisions: all decisions, duplicates removed; a later decision replaces an earlier one on the same point
+- actionItems: all action items, duplicates merged, keeping owners and deadlines
+- openQuestions: questions still open at the end — drop those answered in a later part
+
+Write all text in ${language}.
+
+${RECAP_FORMAT}`;
+}
+
+// ── Chunking ──
+
+function clock(ms) {
+  if (!ms) return '';
+  const d = new Date(ms);
+  return `[${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}] `;
+}
+
+/**
+ * "[HH:MM] Speaker: text" lines grouped into chunks of at most `chunkTokens`.
+ * A single line longer than a chunk is split across chunks.
+ * @returns {string[][]}
+ */
+export function chunkTranscript(transcript, chunkTokens) {
+  const chunks = [];
+  let chunk = [];
+  let used = 0;
+  const flush = () => { if (chunk.length) chunks.push(chunk); chunk = []; used = 0; };
+
+  for (const e of transcript) {
+    const line = `${clock(e.timestamp)}${e.speaker}: ${e.text}`;
+    const cost = estimateTokens(line) + LINE_OVERHEAD_TOKENS;
+    if (cost > chunkTokens) {
+      flush();
+      const pieces = Math.ceil(cost / chunkTokens);
+      const size = Math.ceil(line.length / pieces);
+      for (let i = 0; i < line.length; i += size) chunks.push([(i ? '… ' : '') + line.slice(i, i + size)]);
+      continue;
+    }
+    if (used + cost > chunkTokens) flush();
+    chunk.push(line);
+    used += cost;
+  }
+  flush();
+  return chunks;
+}
+
+// ── Parsing ──
+
+function strings(value) {
+  return Array.isArray(value) ? value.map(v => String(v ?? '').trim()).filter(Boolean) : [];
+}
+
+/**
+ * The recap fields from a model reply, tolerating code fences and stray text
+ * around the JSON object.
+ * @returns {{summary: string, decisions: string[], actionItems: Array<{task: string, owner: string, due: string}>, openQuestions: string[]}}
+ */
+export function parseRecap(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  let data;
+  try { data = JSON.parse(text.slice(start, end + 1)); } catch { data = null; }
+  if (start < 0 || !data || typeof data !== 'object') throw new Error('The AI did not return the recap in the expected format. Try again.');
+
+  const actionItems = (Array.isArray(data.actionItems) ? data.actionItems : [])
+    .map(a => (typeof a === 'string' ? { task: a } : a || {}))
+    .map(a => ({ task: String(a.task ?? '').trim(), owner: String(a.owner ?? '').trim(), due: String(a.due ?? '').trim() }))
+    .filter(a => a.task);
+  return {
+    summary: String(data.summary ?? '').trim(),
+    decisions: strings(data.decisions),
+    actionItems,
+    openQuestions: strings(data.openQuestions),
+  };
+}
+
+// ── Map-Reduce ──
+
+/**
+ * Recap a meeting transcript.
+ * @param {Array<{speaker: string, text: string, timestamp?: number}>} transcript
+ * @param {object} opts
+ * @param {number} opts.budget - input tokens available per request
+ * @param {string} opts.language - language name the recap is written in, e.g. "Thai"
+ * @param {(system: string, user: string) => Promise<string>} opts.complete - one AI call
+ * @param {(done: number, total: number) => void} [opts.onProgress] - after each call
+ * @returns {Promise<{summary: string, decisions: string[], actionItems: object[], openQuestions: string[], language: string, parts: number, generatedAt: number}>}
+ */
+export async function summarizeTranscript(transcript, { budget, language, complete, onProgress = () => {} }) {
+  const promptTokens = estimateTokens(notesSystem(1, 2, language) + RECAP_FORMAT);
+  const room = Math.max(MIN_CHUNK_TOKENS, budget - promptTokens);
+  const chunks = chunkTranscript(transcript, room);
+  if (!chunks.length) throw new Error('Nothing was said in this meeting yet.');
+
+  // Calls expected: one per chunk, and at least one merge; recounted each round
+  let total = chunks.length + (chunks.length > 1 ? 1 : 0);
+  let done = 0;
+  const step = () => onProgress(++done, total);
+
+  // Map: notes for each chunk
+  let notes = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const user = `=== TRANSCRIPT${chunks.length > 1 ? ` (PART ${i + 1} OF ${chunks.length})` : ''} ===\n${chunks[i].join('\n')}`;
+    notes.push(parseRecap(await complete(notesSystem(i + 1, chunks.length, language), user)));
+    step();
+  }
+
+  // Reduce: merge consecutive notes that fit one prompt together, until one is left
+  while (notes.length > 1) {
+    const groups = [];
+    let group = [];
+    let used = 0;
+    for (const n of notes) {
+      const cost = estimateTokens(JSON.stringify(n)) + LINE_OVERHEAD_TOKENS;
+      if (group.length >= 2 && used + cost > room) { groups.push(group); group = []; used = 0; }
+      group.push(n);
+      used += cost;
+    }
+    groups.push(group);
+    total = done + groups.filter(g => g.length > 1).length + (groups.length > 1 ? 1 : 0);
+
+    const merged = [];
+    for (const g of groups) {
+      if (g.length === 1) { merged.push(g[0]); continue; }
+      const user = g.map((n, i) => `=== NOTES, PART ${i + 1} OF ${g.length} ===\n${JSON.stringify(n)}`).join('\n\n');
+      merged.push(parseRecap(await complete(mergeSystem(language), user)));
+      step();
+    }
+    notes = merged;
+  }
+
+  return { ...notes[0], language, parts: chunks.length, generatedAt: Date.now() };
+}
+
+/**
+ * The recap as Markdown, for the meeting page overlay.
+ */
+export function formatRecap(recap) {
+  const out = [];
+  if (recap.summary) out.push('### Summary', recap.summary, '');
+  if (recap.decisions.length) out.push('### Key decisions', ...recap.decisions.map(d => `- ${d}`), '');
+  if (recap.actionItems.length) {
+    out.push('### Action items', ...recap.actionItems.map(a =>
+      `- ${a.task}${a.owner ? ` — **${a.owner}**` : ''}${a.due ? ` (due ${a.due})` : ''}`), '');
+  }
+  if (recap.openQuestions.length) out.push('### Open questions', ...recap.openQuestions.map(q => `- ${q}`), '');
+  return out.join('\n').trim() || 'No decisions, action items or open questions came up in this meeting.';
+}
+
+// ── Rolling Summary ──
+
+const SEGMENT_SYSTEM = `You keep running notes of a live meeting. Summarise the transcript segment below in 2-5 short sentences, in the language of the transcript.
+
+${TRANSCRIPT_NOTE}
+
+Keep names, numbers, decisions, commitments and any question put to "You". Leave out small talk. Output only the summary.`;
+
+const COMPACT_SYSTEM = `You keep running notes of a live meeting. Merge the consecutive summaries below into one summary of at most 8 sentences, in their language, keeping the order of events. Keep names, numbers, decisions, commitments and any open question put to "You". Output only the summary.`;
+
+/**
+ * Prompt summarising one segment of transcript lines.
+ * @param {Array<{speaker: string, text: string, timestamp?: number}>} lines
+ * @returns {{system: string, user: string}}
+ */
+export function buildSegmentPrompt(lines) {
+  return { system: SEGMENT_SYSTEM, user: lines.map(e => `${clock(e.timestamp)}${e.speaker}: ${e.text}`).join('\n') };
+}
+
+/**
+ * Prompt merging several segment summaries, oldest first, into one.
+ * @param {string[]} summaries
+ * @returns {{system: string, user: string}}
+ */
+export function buildCompactPrompt(summaries) {
+  return { system: COMPACT_SYSTEM, user: summaries.map((text, i) => `(${i + 1}) ${text}`).join('\n\n') };
+}
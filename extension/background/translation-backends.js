@@ -0,0 +1,163 @@
+// ============================================================
+// RTE - Translation Backend Registry
+// Where the live transcript is translated. The Google Translate
+// tab is driven by translate-bridge.js; every other backend
+// translates an array of block texts and RTE shows the result in
+// its own translation page. Machine-translation backends declare
+// their settings fields, endpoint and request / response shapes
+// here, so flushToTranslate never needs to know about them.
+// ============================================================
+
+const backends = new Map();
+
+export const DEFAULT_BACKEND_ID = 'google';
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Register a backend. Later registrations with the same id replace earlier ones.
+ * Kinds: 'tab' (Google Translate tab), 'ai' (the configured AI provider) and
+ * 'mt' (a machine-translation API with its own `translate`).
+ */
+export function registerBackend(backend) {
+  backends.set(backend.id, backend);
+}
+
+export function getBackend(id) {
+  return backends.get(id) || backends.get(DEFAULT_BACKEND_ID);
+}
+
+/**
+ * Serializable backend descriptors for the options page.
+ */
+export function listBackends() {
+  return [...backends.values()].map(b => ({
+    id: b.id, label: b.label, description: b.description, fields: b.fields,
+  }));
+}
+
+/**
+ * Every settings key any backend reads.
+ */
+export function getBackendSettingsKeys() {
+  const keys = new Set();
+  for (const b of backends.values()) for (const f of b.fields) keys.add(f.key);
+  return [...keys];
+}
+
+/**
+ * Translate texts with an 'mt' backend.
+ * @param {string} id
+ * @param {string[]} texts
+ * @param {{sourceLang: string, targetLang: string}} langs - RTE language codes ('auto' for detect)
+ * @param {object} settings - stored settings holding the backend's fields
+ * @returns {Promise<string[]>}
+ */
+export async function translateWithBackend(id, texts, langs, settings) {
+  const backend = getBackend(id);
+  const config = backend.resolveConfig(settings);
+  if (!backend.isConfigured(config)) throw new Error(`${backend.label} is not configured. Set it up in extension settings.`);
+
+  const { url, init } = backend.buildRequest(texts, langs, config);
+  const r = await fetch(url, { ...init, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  const json = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(backend.extractError(json) || `${backend.label} returned HTTP ${r.status}`);
+  return backend.extractTranslations(json, texts.length);
+}
+
+function trimBaseUrl(url) {
+  return (url || '').trim().replace(/\/+$/, '');
+}
+
+// ── Built-in backends ──
+registerBackend({
+  id: 'google',
+  kind: 'tab',
+  label: 'Google Translate tab',
+  description: 'Opens translate.google.com in a background tab and types the transcript into it',
+  fields: [],
+});
+
+registerBackend({
+  id: 'ai',
+  kind: 'ai',
+  label: 'AI provider',
+  description: 'Translates with your configured AI provider; no length limit',
+  fields: [],
+});
+
+// Self-hosted or public LibreTranslate server — keeps transcripts off third-party web pages
+registerBackend({
+  id: 'libretranslate',
+  kind: 'mt',
+  label: 'LibreTranslate',
+  description: 'Your own LibreTranslate server (open source, self-hostable)',
+  fields: [
+    { key: 'libreTranslateUrl', label: 'Server URL', type: 'url', placeholder: 'http://localhost:5000', hint: 'The URL that /translate is appended to.' },
+    { key: 'libreTranslateKey', label: 'API Key (optional)', type: 'password', placeholder: 'Leave empty if the server has no keys' },
+  ],
+  resolveConfig: (s) => ({ baseUrl: trimBaseUrl(s.libreTranslateUrl), key: (s.libreTranslateKey || '').trim() }),
+  isConfigured: (c) => !!c.baseUrl,
+  buildRequest: (texts, { sourceLang, targetLang }, c) => ({
+    url: `${c.baseUrl}/translate`,
+    init: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        q: texts,
+        source: !sourceLang || sourceLang === 'auto' ? 'auto' : libreLang(sourceLang),
+        target: libreLang(targetLang),
+        format: 'text',
+        ...(c.key ? { api_key: c.key } : {}),
+      }),
+    },
+  }),
+  extractTranslations: (json, count) => {
+    const out = Array.isArray(json.translatedText) ? json.translatedText : [json.translatedText];
+    return Array.from({ length: count }, (_, i) => out[i] || '');
+  },
+  extractError: (json) => json.error,
+});
+
+// LibreTranslate uses bare ISO 639-1 codes, with zt for Traditional Chinese
+function libreLang(code) {
+  if (code === 'zh-TW') return 'zt';
+  return code.split('-')[0].toLowerCase();
+}
+
+// DeepL API — free keys (ending in :fx) use the api-free host
+registerBackend({
+  id: 'deepl',
+  kind: 'mt',
+  label: 'DeepL',
+  description: 'DeepL API (Free or Pro key)',
+  fields: [
+    { key: 'deeplKey', label: 'DeepL API Key', type: 'password', placeholder: 'xxxxxxxx-xxxx-…:fx', helpUrl: 'https://www.deepl.com/your-account/keys' },
+  ],
+  resolveConfig: (s) => ({ key: (s.deeplKey || '').trim() }),
+  isConfigured: (c) => !!c.key,
+  buildRequest: (texts, { sourceLang, targetLang }, c) => ({
+    url: `https://${c.key.endsWith(':fx') ? 'api-free' : 'api'}.deepl.com/v2/translate`,
+    init: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `DeepL-Auth-Key ${c.key}` },
+      body: JSON.stringify({
+        text: texts,
+        target_lang: deeplTarget(targetLang),
+        ...(sourceLang && sourceLang !== 'auto' ? { source_lang: deeplSource(sourceLang) } : {}),
+      }),
+    },
+  }),
+  extractTranslations: (json, count) => Array.from({ length: count }, (_, i) => json.translations?.[i]?.text || ''),
+  extractError: (json) => json.message,
+});
+
+// DeepL source languages are bare codes; some targets need a variant
+function deeplSource(code) {
+  if (code === 'no') return 'NB';
+  return code.split('-')[0].toUpperCase();
+}
+
+function deeplTarget(code) {
+  const variants = { 'en': 'EN-US', 'pt': 'PT-BR', 'zh-CN': 'ZH-HANS', 'zh-TW': 'ZH-HANT', 'no': 'NB' };
+  return variants[code] || code.split('-')[0].toUpperCase();
+}
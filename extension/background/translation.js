@@ -0,0 +1,169 @@
+// ============================================================
+// RTE - Transcript Translation
+// Translates transcript blocks without the Google Translate tab.
+// Only blocks whose text changed are sent for translation;
+// results are cached by a hash of text, language pair and backend, so a
+// finished turn is translated once however often it is shown. A block
+// with its own `lang` (detected or pinned per speaker) is translated
+// from that language instead of the meeting's.
+// ============================================================
+
+const CACHE_MAX_ENTRIES = 1000;
+const BATCH_MAX_BLOCKS = 8;      // Blocks per translation request
+const SEGMENT_RE = /<<(\d+)>>\s*([\s\S]*?)(?=\s*<<\d+>>|$)/g;
+
+const cache = new Map();  // hash → translated text, least recently used first
+
+async function blockHash(text, { sourceLang, targetLang, backend = '' }) {
+  const data = new TextEncoder().encode(`${backend}:${sourceLang}>${targetLang}\n${text}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// The language pair for one block
+function blockLangs(block, langs) {
+  return block.lang ? { ...langs, sourceLang: block.lang } : langs;
+}
+
+// Already in the target language — shown as is, no request needed
+function isTargetLanguage(block, langs) {
+  return !!block.lang && block.lang.split('-')[0] === langs.targetLang.split('-')[0];
+}
+
+function remember(key, value) {
+  cache.delete(key);
+  cache.set(key, value);
+  if (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+}
+
+/**
+ * Blocks with `translated` filled in from the cache (null where not translated yet).
+ * @param {Array<{speaker: string, text: string, lang?: string}>} blocks
+ * @param {{sourceLang: string, targetLang: string, backend?: string}} langs
+ */
+export async function withCachedTranslations(blocks, langs) {
+  return Promise.all(blocks.map(async (b) => {
+    if (isTargetLanguage(b, langs)) return { ...b, translated: b.text };
+    const key = await blockHash(b.text, blockLangs(b, langs));
+    const translated = cache.get(key);
+    if (translated !== undefined) remember(key, translated);
+    return { ...b, translated: translated ?? null };
+  }));
+}
+
+/**
+ * Translate blocks incrementally. Cached blocks are reused; the rest are
+ * translated in batches, newest first and one source language per batch,
+ * through `translateTexts`.
+ * @param {Array<{speaker: string, text: string, lang?: string}>} blocks
+ * @param {{sourceLang: string, targetLang: string, backend?: string}} langs
+ * @param {(texts: string[], langs: object) => Promise<string[]>} translateTexts
+ * @param {{holdNewest?: boolean}} [options] - holdNewest: leave the newest block
+ *   untranslated unless cached (a turn still being spoken)
+ * @returns {Promise<Array<{speaker: string, text: string, translated: string|null}>>}
+ */
+export async function translateBlocks(blocks, langs, translateTexts, { holdNewest = false } = {}) {
+  const result = await withCachedTranslations(blocks, langs);
+  const pending = result.map((b, i) => i).filter(i => result[i].translated === null && result[i].text.trim());
+  if (holdNewest && pending[pending.length - 1] === result.length - 1) pending.pop();
+
+  while (pending.length > 0) {
+    const batchLangs = blockLangs(result[pending[pending.length - 1]], langs);
+    const sameSource = pending.filter(i => blockLangs(result[i], langs).sourceLang === batchLangs.sourceLang);
+    const batch = sameSource.slice(-BATCH_MAX_BLOCKS);
+    for (const i of batch) pending.splice(pending.indexOf(i), 1);
+    const texts = batch.map(i => result[i].text);
+    const translations = await translateTexts(texts, batchLangs);
+    for (let k = 0; k < batch.length; k++) {
+      const translated = translations[k];
+      if (!translated) continue;
+      result[batch[k]].translated = translated;
+      remember(await blockHash(texts[k], batchLangs), translated);
+    }
+  }
+  return result;
+}
+
+export function clearTranslationCache() {
+  cache.clear();
+}
+
+// ── Character-budget window ──
+const SENTENCE_RE = /[^.!?\u3002\uFF01\uFF1F]+[.!?\u3002\uFF01\uFF1F]*\s*/g;
+
+/**
+ * The newest blocks that fit in `budget` characters when rendered as
+ * "Speaker: text" paragraphs separated by blank lines. The block that
+ * crosses the budget keeps its latest sentences, marked with a leading "…".
+ * @param {Array<{speaker: string, text: string}>} blocks
+ * @param {number} budget
+ * @returns {{blocks: Array<{speaker: string, text: string}>, clipped: boolean}} clipped — older text was left out
+ */
+export function fitToCharBudget(blocks, budget) {
+  const out = [];
+  let used = 0;
+  for (let i = blocks.length - 1; i >= 0; i--) {
+    const b = blocks[i];
+    const overhead = (out.length ? 2 : 0) + b.speaker.length + 2;  // "\n\n" + "Speaker: "
+    const room = budget - used - overhead;
+    if (b.text.length <= room) {
+      out.unshift(b);
+      used += overhead + b.text.length;
+      continue;
+    }
+    const tail = tailSentences(b.text, room - 1, out.length === 0);
+    if (tail) out.unshift({ speaker: b.speaker, text: '…' + tail });
+    return { blocks: out, clipped: true };
+  }
+  return { blocks: out, clipped: false };
+}
+
+// The latest whole sentences of `text` within `room` characters. With `force`
+// (the newest block on its own is too long) a run-on sentence is cut at a word.
+function tailSentences(text, room, force) {
+  if (room <= 0) return '';
+  const sentences = text.match(SENTENCE_RE) || [text];
+  let tail = '';
+  for (let i = sentences.length - 1; i >= 0 && tail.length + sentences[i].length <= room; i--) {
+    tail = sentences[i] + tail;
+  }
+  if (!tail && force) {
+    const cut = text.slice(-room);
+    tail = cut.slice(cut.indexOf(' ') + 1);
+  }
+  return tail.trim();
+}
+
+// ── AI backend prompt ──
+
+/**
+ * System prompt and numbered user message for translating `texts` with an AI model.
+ * @param {string[]} texts
+ * @param {string} sourceName - e.g. "English", or '' when the meeting language is auto-detected
+ * @param {string} targetName - e.g. "Thai"
+ */
+export function buildTranslationPrompt(texts, sourceName, targetName) {
+  const from = sourceName ? `from ${sourceName} ` : '';
+  const system = `You translate a live meeting transcript ${from}into ${targetName}.
+Each segment is marked <<n>>. Output every segment as <<n>> followed by its translation, in the same order, and nothing else.
+- Translate faithfully and naturally, as a subtitle would read; keep names, product terms and numbers as spoken
+- The text comes from speech recognition and may contain small errors — translate the intended meaning
+- The last segment may end mid-sentence; translate it as it stands without completing it
+- Never add notes, explanations or the original text`;
+  const user = texts.map((t, i) => `<<${i + 1}>> ${t}`).join('\n\n');
+  return { system, user };
+}
+
+/**
+ * Split a model's numbered output back into one translation per segment ('' where missing).
+ */
+export function parseTranslationOutput(output, count) {
+  const translations = new Array(count).fill('');
+  for (const [, n, text] of (output || '').matchAll(SEGMENT_RE)) {
+    const i = Number(n) - 1;
+    if (i >= 0 && i < count) translations[i] = text.trim();
+  }
+  // A single segment answered without its marker
+  if (count === 1 && !translations[0] && output && !output.includes('<<')) translations[0] = output.trim();
+  return translations;
+}
@@ -1,7 +1,7 @@
 // ============================================================
 // RTE - Overlay UI (Optimized)
 // Floating panel for AI responses with streaming, markdown
-// rendering, custom shortcuts, and drag support.
+// rendering, follow-up chat, custom shortcuts, and drag support.
 // ============================================================
 
 (function () {
@@ -18,16 +18,34 @@
         <span id="rte-overlay-title-text">RTE Assistant</span>
       </div>
       <div class="rte-overlay-actions">
+        <button id="rte-overlay-expand" class="rte-overlay-btn" title="Show answer">⤢</button>
         <button id="rte-overlay-copy" class="rte-overlay-btn" title="Copy to clipboard">📋</button>
         <button id="rte-overlay-close" class="rte-overlay-btn" title="Close">✕</button>
       </div>
     </div>
     <div class="rte-overlay-body" id="rte-overlay-body">
+      <div class="rte-overlay-target" id="rte-overlay-target">
+        <div class="rte-target-quote">
+          <span class="rte-target-speaker" id="rte-target-speaker"></span>
+          <span class="rte-target-text" id="rte-target-text"></span>
+        </div>
+        <button type="button" class="rte-target-change" id="rte-target-change" title="Answer a different line">↻</button>
+      </div>
+      <div class="rte-target-list" id="rte-target-list"></div>
       <div class="rte-overlay-loading" id="rte-overlay-loading">
         <div class="rte-spinner"></div><span>Generating response...</span>
       </div>
+      <div class="rte-overlay-notice" id="rte-overlay-notice"></div>
       <div class="rte-overlay-content" id="rte-overlay-content"></div>
-    </div>`;
+      <div class="rte-cite-popover" id="rte-cite-popover">
+        <div class="rte-cite-popover-name" id="rte-cite-popover-name"></div>
+        <div class="rte-cite-popover-snippet" id="rte-cite-popover-snippet"></div>
+      </div>
+    </div>
+    <form class="rte-overlay-chat" id="rte-overlay-chat">
+      <input type="text" class="rte-overlay-input" id="rte-overlay-input" placeholder="Ask about the meeting or follow up…" autocomplete="off" />
+      <button type="submit" class="rte-overlay-btn rte-overlay-send" title="Send">➤</button>
+    </form>`;
   document.body.appendChild(overlay);
 
   const $ = (id) => document.getElementById(id);
@@ -35,14 +53,36 @@
   const titleEl = $('rte-overlay-title-text');
   const bodyEl = $('rte-overlay-body');
   const loadingEl = $('rte-overlay-loading');
+  const noticeEl = $('rte-overlay-notice');
   const contentEl = $('rte-overlay-content');
+  const expandBtn = $('rte-overlay-expand');
   const copyBtn = $('rte-overlay-copy');
   const closeBtn = $('rte-overlay-close');
+  const popoverEl = $('rte-cite-popover');
+  const popoverNameEl = $('rte-cite-popover-name');
+  const popoverSnippetEl = $('rte-cite-popover-snippet');
+  const chatFormEl = $('rte-overlay-chat');
+  const chatInputEl = $('rte-overlay-input');
+  const targetEl = $('rte-overlay-target');
+  const targetSpeakerEl = $('rte-target-speaker');
+  const targetTextEl = $('rte-target-text');
+  const targetChangeBtn = $('rte-target-change');
+  const targetListEl = $('rte-target-list');
 
   let isStreaming = false;
+  let currentRequestId = null;  // Chunks from any other request are stale and dropped
   let streamedText = '';
   let renderPending = false;
   let userScrolledUp = false;  // Track if user manually scrolled away from bottom
+  let sources = {};  // Citation label (S1, S2…) → { name, snippet } for the current answer
+  let thread = [];   // Earlier turns of this overlay thread: { role: 'user' | 'assistant', text, sources, error? }
+  let recentLines = [];  // Transcript lines the answer can be re-targeted to: { speaker, text }
+
+  // Citation markers the AI puts after sentences: [S1] or [S1, S3]
+  const CITE_RE = /\s?\[(S\d+(?:\s*,\s*S\d+)*)\]/g;
+  // Bilingual answers: the line before the translation (and a half-streamed one)
+  const TRANSLATION_RE = /^\s*\[\[translation\]\]\s*$/im;
+  const PARTIAL_MARKER_RE = /\n\s*\[(\[[a-z]*\]?)?$/i;
 
   // Detect user scrolling during streaming
   bodyEl.addEventListener('scroll', () => {
@@ -56,19 +96,30 @@
   const DEFAULTS = {
     'generate-question': 'Ctrl+Shift+Q', 'generate-simple-answer': 'Ctrl+Shift+A',
     'generate-detailed-answer': 'Ctrl+Shift+E', 'clear-translate': 'Ctrl+Shift+Z',
-    'copy-captions': 'Ctrl+Shift+C',
+    'copy-captions': 'Ctrl+Shift+C', 'open-chat': 'Ctrl+Shift+Y', 'catch-up': 'Ctrl+Shift+L',
   };
   let shortcuts = { ...DEFAULTS };
+  let customCommands = [];  // User-defined AI commands: [{ id, label, icon, prompt, shortcut }]
 
   // Load from sync first, then local as fallback
   function loadShortcuts() {
-    chrome.storage.sync.get(['customShortcuts'], (syncResult) => {
+    chrome.storage.sync.get(['customShortcuts', 'customCommands'], (syncResult) => {
+      // Merged over the defaults so commands added later keep their default key
       if (!chrome.runtime.lastError && syncResult.customShortcuts) {
-        shortcuts = syncResult.customShortcuts;
+        shortcuts = { ...DEFAULTS, ...syncResult.customShortcuts };
       } else {
         chrome.storage.local.get(['customShortcuts'], (localResult) => {
           if (!chrome.runtime.lastError && localResult.customShortcuts) {
-            shortcuts = localResult.customShortcuts;
+            shortcuts = { ...DEFAULTS, ...localResult.customShortcuts };
+          }
+        });
+      }
+      if (!chrome.runtime.lastError && syncResult.customCommands) {
+        customCommands = syncResult.customCommands;
+      } else {
+        chrome.storage.local.get(['customCommands'], (localResult) => {
+          if (!chrome.runtime.lastError && localResult.customCommands) {
+            customCommands = localResult.customCommands;
           }
         });
       }
@@ -76,7 +127,8 @@
   }
   loadShortcuts();
   chrome.storage.onChanged.addListener((c) => {
-    if (c.customShortcuts?.newValue) shortcuts = c.customShortcuts.newValue;
+    if (c.customShortcuts?.newValue) shortcuts = { ...DEFAULTS, ...c.customShortcuts.newValue };
+    if (c.customCommands) customCommands = c.customCommands.newValue || [];
   });
 
   function eventToCombo(e) {
@@ -98,12 +150,16 @@
     const combo = eventToCombo(e);
     if (!combo) return;
     const reverseMap = Object.fromEntries(Object.entries(shortcuts).map(([c, k]) => [k, c]));
+    for (const c of customCommands) {
+      if (c.shortcut && !reverseMap[c.shortcut]) reverseMap[c.shortcut] = 'custom:' + c.id;
+    }
     const cmd = reverseMap[combo];
     if (!cmd) return;
     // Let caption-copyer.js handle copy-captions directly (needs user gesture for clipboard)
     if (cmd === 'copy-captions') return;
     e.preventDefault();
     e.stopPropagation();
+    if (cmd === 'open-chat') { openChat(); return; }
     chrome.runtime.sendMessage({ type: 'customCommand', command: cmd });
   }, true);
 
@@ -131,16 +187,144 @@
   });
 
   // ── Actions ──
-  closeBtn.addEventListener('click', () => { overlay.classList.remove('rte-overlay-visible'); isStreaming = false; });
+  closeBtn.addEventListener('click', () => {
+    overlay.classList.remove('rte-overlay-visible');
+    // Stop the background stream too, not just the rendering
+    if (isStreaming && currentRequestId !== null) {
+      chrome.runtime.sendMessage({ type: 'cancelAIRequest', requestId: currentRequestId }).catch(() => {});
+    }
+    isStreaming = false; currentRequestId = null;
+    overlay.classList.remove('rte-streaming');
+    // Closing ends the thread; the next question starts fresh
+    thread = []; streamedText = ''; sources = {};
+    overlay.classList.remove('rte-overlay-collapsed');
+    chrome.runtime.sendMessage({ type: 'resetChat' }).catch(() => {});
+  });
+  // Auto answers arrive collapsed; opening one makes it the user's thread
+  expandBtn.addEventListener('click', expandAutoAnswer);
   copyBtn.addEventListener('click', () => {
-    navigator.clipboard.writeText(streamedText || contentEl.textContent).then(() => {
+    // Citation markers are for checking, not for saying aloud
+    // Only the speakable part of a bilingual answer
+    // After a failed follow-up that is the last answer in the thread
+    const answer = streamedText || thread.findLast(t => t.role === 'assistant' && !t.error)?.text;
+    const text = answer ? answer.split(TRANSLATION_RE)[0].trim() : contentEl.textContent;
+    navigator.clipboard.writeText(text.replace(CITE_RE, '')).then(() => {
       copyBtn.textContent = '✓'; setTimeout(() => { copyBtn.textContent = '📋'; }, 1500);
     }).catch(() => {});
   });
 
+  // ── Chat ──
+  chatFormEl.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = chatInputEl.value.trim();
+    if (!text) return;
+    chatInputEl.value = '';
+    chrome.runtime.sendMessage({ type: 'chatMessage', text }).catch(() => {});
+  });
+  // Keep typing away from the meeting page's own keyboard shortcuts
+  for (const type of ['keydown', 'keyup', 'keypress']) {
+    chatInputEl.addEventListener(type, (e) => e.stopPropagation());
+  }
+
+  function showCollapsed() {
+    overlay.classList.add('rte-overlay-visible');
+    overlay.style.top = 'auto';
+    overlay.style.left = 'auto';
+    overlay.style.right = '24px';
+    overlay.style.bottom = '24px';
+    overlay.style.transform = 'none';
+  }
+
+  function showOverlayAtCenter() {
+    overlay.classList.add('rte-overlay-visible');
+    overlay.style.top = '50%';
+    overlay.style.left = '50%';
+    overlay.style.right = 'auto';
+    overlay.style.bottom = 'auto';
+    overlay.style.transform = '';
+  }
+
+  function expandAutoAnswer() {
+    if (!overlay.classList.contains('rte-overlay-collapsed')) return;
+    overlay.classList.remove('rte-overlay-collapsed');
+    headerEl.title = '';
+    showOverlayAtCenter();
+    chrome.runtime.sendMessage({ type: 'autoAnswerOpened' }).catch(() => {});
+  }
+
+  // Open the overlay with an empty thread, ready to type a question
+  function openChat() {
+    expandAutoAnswer();
+    if (!overlay.classList.contains('rte-overlay-visible')) {
+      thread = []; streamedText = ''; sources = {};
+      titleEl.textContent = LABELS['chat'];
+      setTarget(null);
+      loadingEl.style.display = 'none'; contentEl.style.display = 'block';
+      setNotice('');
+      overlay.classList.remove('rte-overlay-error');
+      render('', false);
+      showOverlayAtCenter();
+    }
+    chatInputEl.focus();
+  }
+
+  // ── Target Utterance ──
+  // The line the answer responds to, with a picker to answer another recent line
+  function setTarget(target, recent) {
+    recentLines = recent || [];
+    targetListEl.style.display = 'none';
+    if (!target) { targetEl.style.display = 'none'; return; }
+    targetSpeakerEl.textContent = target.speaker + ':';
+    targetTextEl.textContent = `“${target.text}”`;
+    targetChangeBtn.style.display = recentLines.length > 1 ? 'flex' : 'none';
+    targetEl.style.display = 'flex';
+  }
+
+  targetChangeBtn.addEventListener('click', () => {
+    if (targetListEl.style.display === 'block') { targetListEl.style.display = 'none'; return; }
+    // Newest first — the line to pick is almost always near the end
+    targetListEl.innerHTML = recentLines.map((l, i) => ({ l, i })).reverse().map(({ l, i }) =>
+      `<button type="button" class="rte-target-option" data-index="${i}"><strong>${escapeHtml(l.speaker)}:</strong> ${escapeHtml(l.text)}</button>`).join('');
+    targetListEl.style.display = 'block';
+  });
+
+  targetListEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.rte-target-option');
+    const line = btn && recentLines[Number(btn.dataset.index)];
+    if (!line) return;
+    targetListEl.style.display = 'none';
+    chrome.runtime.sendMessage({ type: 'retargetAnswer', target: line }).catch(() => {});
+  });
+
+  // ── Citations ──
+  function hidePopover() { popoverEl.style.display = 'none'; }
+
+  contentEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.rte-cite');
+    if (!btn) return;
+    const turnSources = btn.dataset.turn ? thread[btn.dataset.turn]?.sources || {} : sources;
+    const src = turnSources[btn.dataset.source];
+    if (!src) return;
+    const key = `${btn.dataset.turn || ''}:${btn.dataset.source}`;
+    if (popoverEl.style.display === 'block' && popoverEl.dataset.source === key) { hidePopover(); return; }
+    popoverEl.dataset.source = key;
+    popoverNameEl.textContent = `${btn.dataset.source} · ${src.name}`;
+    popoverSnippetEl.textContent = src.snippet;
+    popoverEl.style.display = 'block';
+    // Place just below the marker, inside the scrolling body
+    const b = btn.getBoundingClientRect(), body = bodyEl.getBoundingClientRect();
+    popoverEl.style.top = (b.bottom - body.top + bodyEl.scrollTop + 4) + 'px';
+    popoverEl.style.left = Math.max(8, Math.min(b.left - body.left, body.width - popoverEl.offsetWidth - 8)) + 'px';
+  });
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('.rte-cite') && !popoverEl.contains(e.target)) hidePopover();
+  });
+
   // ── Markdown Renderer ──
-  function md(text) {
+  // `srcs`/`turn`: citation sources of the answer being rendered and its index in `thread`
+  function md(text, srcs = sources, turn = '') {
     if (!text) return '';
+    const inline = (t) => inlineMd(t, srcs, turn);
     let h = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
     const out = []; let ul = false, ol = false;
     const close = () => { if (ul) { out.push('</ul>'); ul = false; } if (ol) { out.push('</ol>'); ol = false; } };
@@ -159,18 +343,43 @@
     return out.join('');
   }
 
-  function inline(t) {
+  function inlineMd(t, srcs, turn) {
     return t
       .replace(/\*\*(.+?)\*\*/g, '<strong class="rte-md-bold">$1</strong>')
       .replace(/__(.+?)__/g, '<strong class="rte-md-bold">$1</strong>')
       .replace(/(?<!\*)\*(?!\*)(.+?)(?<!\*)\*(?!\*)/g, '<em class="rte-md-italic">$1</em>')
       .replace(/(?<!_)_(?!_)(.+?)(?<!_)_(?!_)/g, '<em class="rte-md-italic">$1</em>')
       .replace(/`(.+?)`/g, '<code class="rte-md-code">$1</code>')
-      .replace(/~~(.+?)~~/g, '<del>$1</del>');
+      .replace(/~~(.+?)~~/g, '<del>$1</del>')
+      .replace(CITE_RE, (m, labels) => {
+        const known = labels.split(/\s*,\s*/).filter(l => srcs[l]);
+        // Labels the AI made up are dropped rather than shown as dead links
+        return known.map(l => `<button class="rte-cite" data-source="${l}" data-turn="${turn}" title="${l}">${l.slice(1)}</button>`).join('');
+      });
+  }
+
+  function escapeHtml(t) {
+    return t.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
   }
 
+  // Earlier turns of the thread, then the answer currently streaming / shown
   function render(text, cursor) {
-    contentEl.innerHTML = md(text) + (cursor ? '<span class="rte-cursor"></span>' : '');
+    const earlier = thread.map((t, i) => (t.role === 'user'
+      ? `<div class="rte-chat-user">${escapeHtml(t.text)}</div>`
+      : `<div class="rte-chat-answer">${answerHtml(t.text, t.sources, String(i))}</div>`)).join('');
+    contentEl.innerHTML = earlier + answerHtml(text) + (cursor ? '<span class="rte-cursor"></span>' : '');
+  }
+
+  // An answer, with the translation of a bilingual answer set apart underneath
+  function answerHtml(text, srcs = sources, turn = '') {
+    const [answer, translation] = text.replace(PARTIAL_MARKER_RE, '').split(TRANSLATION_RE);
+    if (translation === undefined) return md(answer, srcs, turn);
+    return md(answer, srcs, turn) + `<div class="rte-translation">${md(translation.trim(), srcs, turn)}</div>`;
+  }
+
+  function setNotice(text) {
+    noticeEl.textContent = text ? '⚠ ' + text : '';
+    noticeEl.style.display = text ? 'block' : 'none';
   }
 
   // Throttle rendering during streaming (every ~80ms via rAF)
@@ -185,28 +394,50 @@
     'question': '💬  Suggested Questions',
     'simple-answer': '💡  Quick Answer',
     'detailed-answer': '📝  Detailed Answer',
+    'chat': '🗨️  Meeting Chat',
+    'recap': '📋  Meeting Recap',
+    'catch-up': '⏪  Catch Me Up',
   };
 
+  // User-defined commands carry their own label and icon
+  function titleFor(msg) {
+    if (msg.auto) return '💡  Suggested Answer';
+    if (msg.label) return `${msg.icon || '✨'}  ${msg.label}`;
+    return LABELS[msg.mode] || 'RTE Assistant';
+  }
+
   chrome.runtime.onMessage.addListener((msg) => {
     switch (msg.type) {
       case 'streamStart':
-        isStreaming = true; streamedText = ''; userScrolledUp = false;
-        titleEl.textContent = LABELS[msg.mode] || 'RTE Assistant';
+        if (msg.mode === 'chat') {
+          // A follow-up: keep the thread, moving the previous answer into it
+          if (streamedText) thread.push({ role: 'assistant', text: streamedText, sources });
+          thread.push({ role: 'user', text: msg.question || '' });
+          if (!overlay.classList.contains('rte-overlay-visible')) titleEl.textContent = titleFor(msg);
+          setTarget(null);
+        } else {
+          thread = [];
+          titleEl.textContent = titleFor(msg);
+          setTarget(msg.target, msg.recent);
+        }
+        // Auto answers wait in a small card at the bottom-right until expanded
+        overlay.classList.toggle('rte-overlay-collapsed', !!msg.auto);
+        headerEl.title = msg.auto ? msg.question || '' : '';
+        isStreaming = true; currentRequestId = msg.requestId ?? null; streamedText = ''; userScrolledUp = false;
+        sources = {}; hidePopover();
         loadingEl.style.display = 'none'; contentEl.style.display = 'block';
+        setNotice('');
         overlay.classList.remove('rte-overlay-error');
-        overlay.classList.add('rte-overlay-visible', 'rte-streaming');
-        // Reset position to center of screen
-        overlay.style.top = '50%';
-        overlay.style.left = '50%';
-        overlay.style.right = 'auto';
-        overlay.style.bottom = 'auto';
-        overlay.style.transform = '';
+        overlay.classList.add('rte-streaming');
+        // Reset position to center of screen, unless a chat is already open where the user put it
+        if (msg.auto) showCollapsed();
+        else if (msg.mode !== 'chat' || !overlay.classList.contains('rte-overlay-visible')) showOverlayAtCenter();
         render('', true);
-        bodyEl.scrollTop = 0;
+        bodyEl.scrollTop = msg.mode === 'chat' ? bodyEl.scrollHeight : 0;
         break;
 
       case 'streamChunk':
-        if (!isStreaming) break;
+        if (!isStreaming || msg.requestId !== currentRequestId) break;
         streamedText += msg.token;
         renderThrottled(streamedText, true);
         // Only auto-scroll if user hasn't manually scrolled up
@@ -215,7 +446,20 @@
         }
         break;
 
+      // The context planner had to drop transcript or document text
+      case 'streamNotice':
+        if (msg.requestId !== currentRequestId) break;
+        setNotice(msg.notice);
+        break;
+
+      // Document passages the answer may cite
+      case 'streamSources':
+        if (msg.requestId !== currentRequestId) break;
+        sources = Object.fromEntries((msg.sources || []).map(s => [s.label, s]));
+        break;
+
       case 'streamEnd':
+        if (msg.requestId !== currentRequestId) break;
         isStreaming = false;
         overlay.classList.remove('rte-streaming');
         render(streamedText, false);
@@ -227,8 +471,27 @@
         break;
 
       case 'showOverlay':
-        isStreaming = false; overlay.classList.remove('rte-streaming');
-        titleEl.textContent = LABELS[msg.mode] || 'RTE Assistant';
+        // Errors from a superseded request must not replace the current answer
+        if (msg.requestId !== undefined && msg.requestId !== currentRequestId) break;
+        isStreaming = false; currentRequestId = null; overlay.classList.remove('rte-streaming');
+        setNotice('');
+        sources = {}; hidePopover();
+        // A failed follow-up is shown in place of its answer; the thread stays.
+        // The error is a turn of its own, never part of an answer.
+        if (msg.mode === 'chat' && thread.length) {
+          thread.push({ role: 'assistant', text: '⚠ ' + msg.content, error: true });
+          streamedText = '';
+          render('', false);
+          break;
+        }
+        titleEl.textContent = titleFor(msg);
+        thread = [];
+        setTarget(msg.target, msg.recent);
+        if (!msg.auto && overlay.classList.contains('rte-overlay-collapsed')) {
+          overlay.classList.remove('rte-overlay-collapsed');
+          headerEl.title = '';
+          showOverlayAtCenter();
+        }
         if (msg.content === null) {
           loadingEl.style.display = 'flex'; contentEl.style.display = 'none';
           streamedText = ''; render('', false);
@@ -240,6 +503,11 @@
         }
         overlay.classList.add('rte-overlay-visible');
         break;
+
+      case 'rteDeactivated':
+        isStreaming = false; currentRequestId = null;
+        overlay.classList.remove('rte-streaming');
+        break;
     }
   });
 })();
@@ -0,0 +1,95 @@
+// ============================================================
+// RTE - Translated Subtitles
+// A subtitle strip over the meeting video showing the latest
+// translated line per speaker. The service worker pushes recent
+// blocks [{speaker, text, translated}] from whichever translation
+// backend is active; the `subtitles` setting controls the look.
+// ============================================================
+
+(function () {
+  if (window.__rteSubtitlesInitialised) return;
+  window.__rteSubtitlesInitialised = true;
+
+  const DEFAULTS = { enabled: false, fontSize: 22, position: 'bottom', lines: 2, showOriginal: false };
+  let options = { ...DEFAULTS };
+  let blocks = [];
+  const lastTranslated = {};  // speaker → last translation, shown while a newer one is on its way
+
+  // ── DOM ──
+  const strip = document.createElement('div');
+  strip.id = 'rte-subtitles';
+  document.body.appendChild(strip);
+
+  function escapeHtml(t) {
+    const d = document.createElement('div');
+    d.textContent = t;
+    return d.innerHTML;
+  }
+
+  // Newest block per speaker, up to `lines` speakers, oldest first
+  function pickLines() {
+    const seen = new Set();
+    const lines = [];
+    for (let i = blocks.length - 1; i >= 0 && lines.length < options.lines; i--) {
+      const b = blocks[i];
+      if (seen.has(b.speaker)) continue;
+      seen.add(b.speaker);
+      lines.unshift(b);
+    }
+    return lines;
+  }
+
+  function render() {
+    const lines = options.enabled ? pickLines() : [];
+    const html = lines.map((b) => {
+      const translated = b.translated ?? lastTranslated[b.speaker];
+      if (!translated && !options.showOriginal) return '';
+      return `<div class="rte-subtitle-line">
+        <span class="rte-subtitle-speaker">${escapeHtml(b.speaker)}</span>
+        ${translated ? `<span class="rte-subtitle-text">${escapeHtml(translated)}</span>` : ''}
+        ${options.showOriginal ? `<span class="rte-subtitle-original">${escapeHtml(b.text)}</span>` : ''}
+      </div>`;
+    }).join('');
+    strip.innerHTML = html;
+    strip.classList.toggle('rte-subtitles-visible', !!html);
+    strip.classList.toggle('rte-subtitles-top', options.position === 'top');
+    strip.style.fontSize = options.fontSize + 'px';
+  }
+
+  function clearRemembered() {
+    for (const k of Object.keys(lastTranslated)) delete lastTranslated[k];
+  }
+
+  // ── Settings: sync first, then local ──
+  function applyOptions(value) {
+    options = { ...DEFAULTS, ...value };
+    render();
+  }
+
+  chrome.storage.sync.get(['subtitles'], (syncResult) => {
+    if (!chrome.runtime.lastError && syncResult.subtitles) { applyOptions(syncResult.subtitles); return; }
+    chrome.storage.local.get(['subtitles'], (localResult) => {
+      if (!chrome.runtime.lastError && localResult.subtitles) applyOptions(localResult.subtitles);
+    });
+  });
+  chrome.storage.onChanged.addListener((c) => {
+    if (c.subtitles?.newValue) applyOptions(c.subtitles.newValue);
+  });
+
+  chrome.runtime.onMessage.addListener((msg) => {
+    switch (msg.type) {
+      case 'subtitles':
+        blocks = msg.blocks || [];
+        // An empty batch means the conversation was cleared
+        if (!blocks.length) clearRemembered();
+        for (const b of blocks) if (b.translated) lastTranslated[b.speaker] = b.translated;
+        render();
+        break;
+      case 'rteDeactivated':
+        blocks = [];
+        clearRemembered();
+        render();
+        break;
+    }
+  });
+})();
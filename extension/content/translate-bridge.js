@@ -4,6 +4,8 @@
 // Maintains structured text blocks [{speaker, text}].
 // The textarea always shows the exact same text as the
 // transcript — no fragmentation or duplication.
+// The translation pane is read back and split into one result
+// per block, sent to the service worker as translationResult.
 // ============================================================
 
 (function () {
@@ -53,9 +55,60 @@
     if (!el) return false;
     const text = blocks.map(b => `${b.speaker}: ${b.text}`).join('\n\n');
     setValue(el, text);
+    scheduleReadOutput();
     return true;
   }
 
+  // ── Translation output ──
+  const OUTPUT_SETTLE_MS = 600;  // Output must stop changing this long before it is read
+  const SPEAKER_PREFIX_RE = /^[^:：\n]{1,60}[:：]\s*/;
+  let readTimer = null;
+  let lastSent = '';
+
+  function targetLang() {
+    return new URLSearchParams(location.search).get('tl') || '';
+  }
+
+  // The translated text, one paragraph per block
+  function getOutputText() {
+    const tl = targetLang();
+    const selectors = [
+      'span[jsname="jqKxS"][lang]', 'div[jsname="r5xl4"] span[lang]',
+      ...(tl ? [`span[lang="${tl}"]`, `div[lang="${tl}"]`] : []),
+    ];
+    for (const sel of selectors) {
+      const el = document.querySelector(sel);
+      if (el && el.innerText.trim()) return el.innerText;
+    }
+    return '';
+  }
+
+  function scheduleReadOutput() {
+    clearTimeout(readTimer);
+    readTimer = setTimeout(readOutput, OUTPUT_SETTLE_MS);
+  }
+
+  /**
+   * Split the translation into per-block results. Google keeps the blank
+   * lines between blocks, so paragraphs map to blocks one to one; when the
+   * counts differ the output is stale or merged and nothing is sent.
+   */
+  function readOutput() {
+    const output = getOutputText();
+    if (!output || output === lastSent || blocks.length === 0) return;
+    const paragraphs = output.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+    if (paragraphs.length !== blocks.length) return;
+    lastSent = output;
+    chrome.runtime.sendMessage({
+      type: 'translationResult',
+      blocks: blocks.map((b, i) => ({ speaker: b.speaker, text: b.text, translatedText: paragraphs[i].replace(SPEAKER_PREFIX_RE, '') })),
+    }).catch(() => {});
+  }
+
+  // Translations arrive some time after the input changes
+  new MutationObserver(() => { if (blocks.length) scheduleReadOutput(); })
+    .observe(document.body, { childList: true, subtree: true, characterData: true });
+
   /**
    * Set the complete list of blocks and render.
    */
@@ -87,6 +140,7 @@
 
   function clearAll() {
     blocks = [];
+    lastSent = '';
     // Try native clear button first
     for (const btn of document.querySelectorAll('button[aria-label="Clear source text"],button[aria-label*="Clear"],button[jsname="WMmhGe"]')) {
       btn.click();
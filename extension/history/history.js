@@ -0,0 +1,358 @@
+// ============================================================
+// RTE - History Page
+// Browse archived meeting sessions (background/session-store.js):
+// a session list, full-text search across every transcript with
+// platform / date / speaker filters, and a read-only transcript
+// view. Clicking a search hit opens its session at that line.
+// Any session, or the live one (history.html?live), can be
+// exported through lib/transcript-export.js. A session's meeting
+// recap is shown above its transcript and can be (re)generated.
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  // ──────────── Auth Check ────────────
+  chrome.runtime.sendMessage({ type: 'checkAuth' }, (resp) => {
+    if (chrome.runtime.lastError || !resp?.authenticated) {
+      document.body.innerHTML = '<div style="display:flex;align-items:center;justify-content:center;height:100vh;color:#94a3b8;font-family:Segoe UI,sans-serif;background:#0a0a14;"><div style="text-align:center;"><h2 style="color:#e2e8f0;margin-bottom:8px;">Locked</h2><p>Please unlock RTE from the popup first.</p></div></div>';
+      return;
+    }
+    initHistory();
+  });
+});
+
+function initHistory() {
+  // ──────────── Elements ────────────
+  const summaryEl = document.getElementById('summary');
+  const searchInputEl = document.getElementById('searchInput');
+  const platformFilterEl = document.getElementById('platformFilter');
+  const fromFilterEl = document.getElementById('fromFilter');
+  const toFilterEl = document.getElementById('toFilter');
+  const speakerFilterEl = document.getElementById('speakerFilter');
+  const listHeadingEl = document.getElementById('listHeading');
+  const resultListEl = document.getElementById('resultList');
+  const viewerEmptyEl = document.getElementById('viewerEmpty');
+  const sessionViewEl = document.getElementById('sessionView');
+  const sessionTitleEl = document.getElementById('sessionTitle');
+  const sessionMetaEl = document.getElementById('sessionMeta');
+  const showTranslationsEl = document.getElementById('showTranslations');
+  const deleteSessionBtn = document.getElementById('deleteSession');
+  const transcriptEl = document.getElementById('transcript');
+  const recapEl = document.getElementById('recap');
+  const exportFormatEl = document.getElementById('exportFormat');
+  const exportTranslationsEl = document.getElementById('exportTranslations');
+  const exportAIAnswersEl = document.getElementById('exportAIAnswers');
+  const exportSessionBtn = document.getElementById('exportSession');
+
+  const SEARCH_DEBOUNCE_MS = 250;
+  const PLATFORM_NAMES = { meet: 'Google Meet', teams: 'Microsoft Teams', zoom: 'Zoom' };
+  const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+  let activeSessionId = null;   // Session still being recorded
+  let openSessionId = null;
+  let openedSession = null;     // Shown in the viewer, for export
+  let searchTimer = null;
+
+  // ──────────── Helpers ────────────
+  function send(msg) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(msg, (resp) => {
+        resolve(chrome.runtime.lastError ? { error: chrome.runtime.lastError.message } : (resp || {}));
+      });
+    });
+  }
+
+  function escapeHtml(str) {
+    const d = document.createElement('div');
+    d.textContent = str ?? '';
+    return d.innerHTML;
+  }
+
+  function languageName(code) {
+    if (!code || code === 'auto') return 'Auto-detected';
+    try { return languageNames.of(code) || code; } catch { return code; }
+  }
+
+  function queryTerms() {
+    return searchInputEl.value.toLowerCase().split(/\s+/).filter(Boolean);
+  }
+
+  // Escaped text with every search term wrapped in <mark>
+  function highlight(text, terms = queryTerms()) {
+    if (!terms.length) return escapeHtml(text);
+    const re = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    // split() with a capture group puts the matches at odd indices
+    return (text || '').split(re).map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))).join('');
+  }
+
+  // A stable colour per speaker name
+  function speakerColor(name) {
+    if (name === 'You') return 'var(--accent-light)';
+    let hash = 0;
+    for (const ch of name) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+    return `hsl(${hash % 360}, 65%, 68%)`;
+  }
+
+  function formatDate(ms) {
+    return new Date(ms).toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  function formatTime(ms) {
+    return ms ? new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }) : '';
+  }
+
+  function formatDuration(from, to) {
+    const minutes = Math.round((to - from) / 60000);
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+
+  function sessionTitle(s) {
+    return s.meetingTitle || `${PLATFORM_NAMES[s.platform] || 'Meeting'} — ${formatDate(s.startedAt)}`;
+  }
+
+  function filters() {
+    const f = {};
+    if (platformFilterEl.value) f.platform = platformFilterEl.value;
+    if (fromFilterEl.value) f.from = new Date(fromFilterEl.value + 'T00:00:00').getTime();
+    if (toFilterEl.value) f.to = new Date(toFilterEl.value + 'T23:59:59.999').getTime();
+    if (speakerFilterEl.value) f.speaker = speakerFilterEl.value;
+    return f;
+  }
+
+  // ──────────── Session List / Search Results ────────────
+  function sessionItem(s) {
+    const live = s.id === activeSessionId ? '<span class="live-badge">Recording</span>' : '';
+    return `
+      <button class="result-item${s.id === openSessionId ? ' selected' : ''}" data-session="${escapeHtml(s.id)}">
+        <div class="result-title">${escapeHtml(sessionTitle(s))}${live}</div>
+        <div class="result-meta">${formatDate(s.startedAt)} ${formatTime(s.startedAt)} · ${escapeHtml(PLATFORM_NAMES[s.platform] || 'Unknown platform')} · ${s.lineCount} lines${s.responseCount ? ` · ${s.responseCount} AI answers` : ''}</div>
+      </button>`;
+  }
+
+  function hitItem(hit) {
+    return `
+      <button class="result-item" data-session="${escapeHtml(hit.session.id)}" data-line="${hit.index}">
+        <div class="result-meta">${escapeHtml(sessionTitle(hit.session))} · ${formatTime(hit.timestamp || hit.session.startedAt)}</div>
+        <div class="result-snippet"><strong style="color:${speakerColor(hit.speaker)}">${escapeHtml(hit.speaker)}:</strong> ${highlight(hit.text)}</div>
+      </button>`;
+  }
+
+  async function refreshList() {
+    const query = searchInputEl.value.trim();
+    if (query) {
+      const resp = await send({ type: 'searchSessions', query, filters: filters() });
+      if (resp.error) { resultListEl.innerHTML = `<p class="empty">${escapeHtml(resp.error)}</p>`; return; }
+      listHeadingEl.textContent = `${resp.hits.length}${resp.hits.length >= 200 ? '+' : ''} matching lines`;
+      resultListEl.innerHTML = resp.hits.length
+        ? resp.hits.map(hitItem).join('')
+        : '<p class="empty">Nothing found.</p>';
+      return;
+    }
+
+    const resp = await send({ type: 'listSessions', filters: filters() });
+    if (resp.error) { resultListEl.innerHTML = `<p class="empty">${escapeHtml(resp.error)}</p>`; return; }
+    activeSessionId = resp.activeSessionId;
+    listHeadingEl.textContent = `${resp.sessions.length} sessions`;
+    resultListEl.innerHTML = resp.sessions.length
+      ? resp.sessions.map(sessionItem).join('')
+      : '<p class="empty">No meetings saved yet. Sessions are recorded while RTE is active.</p>';
+  }
+
+  // Speaker choices and the header summary cover every saved session
+  async function loadFilterChoices() {
+    const resp = await send({ type: 'listSessions' });
+    if (resp.error) return;
+    const speakers = [...new Set(resp.sessions.flatMap(s => s.speakers))].sort((a, b) => a.localeCompare(b));
+    for (const name of speakers) speakerFilterEl.add(new Option(name, name));
+    const lines = resp.sessions.reduce((n, s) => n + s.lineCount, 0);
+    summaryEl.textContent = `${resp.sessions.length} meetings · ${lines} transcript lines saved on this device`;
+  }
+
+  resultListEl.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-session]');
+    if (!item) return;
+    resultListEl.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
+    item.classList.add('selected');
+    openSession(item.dataset.session, item.dataset.line !== undefined ? Number(item.dataset.line) : null);
+  });
+
+  searchInputEl.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(refreshList, SEARCH_DEBOUNCE_MS);
+  });
+  [platformFilterEl, fromFilterEl, toFilterEl, speakerFilterEl].forEach(el => el.addEventListener('change', refreshList));
+
+  // ──────────── Transcript View ────────────
+  function lineHtml(e, index) {
+    return `
+      <div class="line" id="line-${index}">
+        <div class="line-time">${formatTime(e.timestamp)}</div>
+        <div>
+          <div class="line-speaker" style="color:${speakerColor(e.speaker)}">${escapeHtml(e.speaker)}</div>
+          <div class="line-text">${highlight(e.text)}</div>
+          ${e.translatedText ? `<div class="line-translated">${highlight(e.translatedText)}</div>` : ''}
+        </div>
+      </div>`;
+  }
+
+  function responseHtml(r) {
+    return `
+      <div class="ai-response">
+        <div class="ai-response-label">${r.auto ? '💡 ' : ''}${escapeHtml(r.label)} · ${formatTime(r.at)}</div>
+        ${r.prompt ? `<div class="ai-response-prompt">${escapeHtml(r.prompt)}</div>` : ''}
+        <div class="ai-response-answer">${escapeHtml(r.answer)}</div>
+      </div>`;
+  }
+
+  // Lines in order, each AI response after the last line spoken before it
+  function renderTranscript(session) {
+    const parts = TranscriptExport.timeline(session)
+      .map(item => (item.response ? responseHtml(item.response) : lineHtml(item.line, item.index)));
+    transcriptEl.innerHTML = parts.join('') || '<p class="empty">No transcript was captured in this session.</p>';
+  }
+
+  // ──────────── Meeting Recap ────────────
+  function recapList(heading, items) {
+    return items.length ? `<h4 class="recap-heading">${heading}</h4><ul>${items.map(i => `<li>${i}</li>`).join('')}</ul>` : '';
+  }
+
+  // An unarchived live session cannot store a recap
+  function renderRecap(s) {
+    const button = s.id ? `<button class="btn-secondary" id="generateRecap">${s.recap ? 'Regenerate' : 'Generate recap'}</button>` : '';
+    const r = s.recap;
+    if (!r) {
+      recapEl.innerHTML = s.id ? `<div class="recap-header"><span class="recap-empty">No meeting recap yet.</span>${button}</div>` : '';
+      return;
+    }
+    const actions = r.actionItems.map(a => escapeHtml(a.task)
+      + (a.owner ? ` — <span class="recap-owner">${escapeHtml(a.owner)}</span>` : '')
+      + (a.due ? ` (due ${escapeHtml(a.due)})` : ''));
+    recapEl.innerHTML = `
+      <div class="recap-header">
+        <span class="recap-title">📋 Meeting Recap</span>
+        <span class="recap-meta">${formatDate(r.generatedAt)} ${formatTime(r.generatedAt)}${r.parts > 1 ? ` · from ${r.parts} parts` : ''}</span>
+        ${button}
+      </div>
+      ${r.summary ? `<h4 class="recap-heading">Summary</h4><p>${escapeHtml(r.summary)}</p>` : ''}
+      ${recapList('Key decisions', r.decisions.map(escapeHtml))}
+      ${recapList('Action items', actions)}
+      ${recapList('Open questions', r.openQuestions.map(escapeHtml))}`;
+  }
+
+  recapEl.addEventListener('click', async (e) => {
+    const btn = e.target.closest('#generateRecap');
+    if (!btn || !openedSession) return;
+    const session = openedSession;
+    btn.disabled = true;
+    btn.textContent = 'Generating…';
+    const resp = await send({ type: 'generateRecap', id: session.id });
+    if (resp.error) {
+      alert('Recap failed: ' + resp.error);
+      btn.disabled = false;
+      btn.textContent = session.recap ? 'Regenerate' : 'Generate recap';
+      return;
+    }
+    session.recap = resp.recap;
+    if (openedSession === session) renderRecap(session);
+  });
+
+  function showViewerMessage(text) {
+    openedSession = null;
+    viewerEmptyEl.textContent = text;
+    viewerEmptyEl.style.display = 'block';
+    sessionViewEl.style.display = 'none';
+  }
+
+  async function openSession(id, lineIndex = null) {
+    const resp = await send({ type: 'getSession', id });
+    if (resp.error || !resp.session) {
+      showViewerMessage(resp.error || 'This session no longer exists.');
+      return;
+    }
+    showSession(resp.session, resp.active, lineIndex);
+  }
+
+  // The meeting being recorded now — also when the archive is turned off
+  async function openLiveSession() {
+    const resp = await send({ type: 'getLiveSession' });
+    if (resp.error || !resp.session) {
+      showViewerMessage(resp.error || 'RTE is not capturing a meeting right now.');
+      return;
+    }
+    showSession(resp.session, resp.active);
+  }
+
+  function showSession(s, active, lineIndex = null) {
+    openSessionId = s.id;
+    openedSession = s;
+
+    sessionTitleEl.textContent = sessionTitle(s);
+    const end = s.endedAt || (active ? Date.now() : s.transcript[s.transcript.length - 1]?.timestamp);
+    const langs = `${languageName(s.sourceLang)} → ${(s.targetLangs || []).map(languageName).join(', ')}`;
+    sessionMetaEl.textContent = [
+      `${formatDate(s.startedAt)} ${formatTime(s.startedAt)}`,
+      end ? formatDuration(s.startedAt, end) : '',
+      active ? 'recording' : '',
+      PLATFORM_NAMES[s.platform] || '',
+      langs,
+      `${s.transcript.length} lines`,
+    ].filter(Boolean).join(' · ');
+    // An unarchived live session (id null) has nothing to delete
+    deleteSessionBtn.disabled = !!active || !s.id;
+    deleteSessionBtn.title = active ? 'Deactivate RTE to delete this session' : '';
+
+    renderRecap(s);
+    renderTranscript(s);
+    viewerEmptyEl.style.display = 'none';
+    sessionViewEl.style.display = 'block';
+
+    const line = lineIndex !== null && document.getElementById(`line-${lineIndex}`);
+    if (line) {
+      line.scrollIntoView({ block: 'center' });
+      line.classList.add('flash');
+      setTimeout(() => line.classList.remove('flash'), 1600);
+    } else {
+      document.getElementById('viewer').scrollTop = 0;
+    }
+  }
+
+  showTranslationsEl.addEventListener('change', () => {
+    document.body.classList.toggle('hide-translations', !showTranslationsEl.checked);
+  });
+
+  deleteSessionBtn.addEventListener('click', async () => {
+    if (!openSessionId || !confirm(`Delete "${sessionTitleEl.textContent}"? This cannot be undone.`)) return;
+    const resp = await send({ type: 'deleteSession', id: openSessionId });
+    if (resp.error) { alert(resp.error); return; }
+    openSessionId = null;
+    showViewerMessage('Session deleted.');
+    refreshList();
+  });
+
+  // ──────────── Export ────────────
+  for (const [format, spec] of Object.entries(TranscriptExport.FORMATS)) {
+    exportFormatEl.add(new Option(spec.label, format));
+  }
+
+  exportSessionBtn.addEventListener('click', () => {
+    if (!openedSession) return;
+    try {
+      const { filename, blob } = TranscriptExport.exportSession(openedSession, exportFormatEl.value, {
+        translations: exportTranslationsEl.checked,
+        aiAnswers: exportAIAnswersEl.checked,
+      });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      alert('Export failed: ' + err.message);
+    }
+  });
+
+  // ──────────── Init ────────────
+  loadFilterChoices();
+  refreshList();
+  if (new URLSearchParams(location.search).has('live')) openLiveSession();
+}
@@ -0,0 +1,216 @@
+// ============================================================
+// RTE - DOCX Writer
+// Writes a minimal Word document: styled paragraphs of text runs.
+// DOCX = ZIP archive of OOXML parts; entries are stored without
+// compression, which every Word processor reads.
+// Pure vanilla JS — no external dependencies.
+// ============================================================
+
+const DocxWriter = (() => {
+  'use strict';
+
+  const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+  // ── Public API ──
+
+  /**
+   * Build a .docx file.
+   * Paragraph styles: 'Title', 'Heading1', 'Heading2', 'Meta', 'Translation', 'Answer'
+   * (anything else is Normal).
+   * @param {{title?: string, paragraphs: Array<{style?: string, text?: string, runs?: Array<{text: string, bold?: boolean, italic?: boolean, color?: string}>}>}} doc
+   * @returns {Blob}
+   */
+  function build({ title = '', paragraphs }) {
+    const files = [
+      { name: '[Content_Types].xml', data: CONTENT_TYPES },
+      { name: '_rels/.rels', data: PACKAGE_RELS },
+      { name: 'docProps/core.xml', data: coreProperties(title) },
+      { name: 'word/_rels/document.xml.rels', data: DOCUMENT_RELS },
+      { name: 'word/styles.xml', data: STYLES },
+      { name: 'word/document.xml', data: documentXML(paragraphs) },
+    ];
+    return new Blob([zip(files)], { type: MIME_TYPE });
+  }
+
+  // ── XML Parts ──
+
+  const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+  const CONTENT_TYPES = XML_HEADER +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+    '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+    '</Types>';
+
+  const PACKAGE_RELS = XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+    '</Relationships>';
+
+  const DOCUMENT_RELS = XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>';
+
+  function paragraphStyle(id, name, { pPr = '', rPr = '' } = {}) {
+    return `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+      `<w:pPr>${pPr}</w:pPr><w:rPr>${rPr}</w:rPr></w:style>`;
+  }
+
+  const STYLES = XML_HEADER +
+    `<w:styles xmlns:w="${W_NS}">` +
+    '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>' +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+    paragraphStyle('Title', 'Title', { pPr: '<w:spacing w:after="120"/>', rPr: '<w:b/><w:sz w:val="40"/><w:szCs w:val="40"/>' }) +
+    paragraphStyle('Heading1', 'heading 1', { pPr: '<w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="0"/>', rPr: '<w:b/><w:color w:val="4F46E5"/><w:sz w:val="30"/><w:szCs w:val="30"/>' }) +
+    paragraphStyle('Heading2', 'heading 2', { pPr: '<w:keepNext/><w:spacing w:before="160" w:after="0"/><w:outlineLvl w:val="1"/>', rPr: '<w:b/><w:sz w:val="22"/><w:szCs w:val="22"/>' }) +
+    paragraphStyle('Meta', 'Meta', { rPr: '<w:color w:val="64748B"/><w:sz w:val="20"/><w:szCs w:val="20"/>' }) +
+    paragraphStyle('Translation', 'Translation', { rPr: '<w:i/><w:color w:val="475569"/>' }) +
+    paragraphStyle('Answer', 'Answer', { pPr: '<w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="6366F1"/></w:pBdr><w:ind w:left="360"/>', rPr: '<w:color w:val="1E293B"/>' }) +
+    '</w:styles>';
+
+  function coreProperties(title) {
+    const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    return XML_HEADER +
+      '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+      `<dc:title>${escapeXML(title)}</dc:title><dc:creator>RTE</dc:creator>` +
+      `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+      '</cp:coreProperties>';
+  }
+
+  function documentXML(paragraphs) {
+    const body = paragraphs.map(paragraphXML).join('');
+    return XML_HEADER +
+      `<w:document xmlns:w="${W_NS}"><w:body>${body}` +
+      '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>' +
+      '</w:body></w:document>';
+  }
+
+  function paragraphXML(p) {
+    const pPr = p.style ? `<w:pPr><w:pStyle w:val="${p.style}"/></w:pPr>` : '';
+    const runs = p.runs || [{ text: p.text || '' }];
+    return `<w:p>${pPr}${runs.map(runXML).join('')}</w:p>`;
+  }
+
+  // Line breaks inside a run become <w:br/>
+  function runXML(run) {
+    const props = (run.bold ? '<w:b/>' : '') + (run.italic ? '<w:i/>' : '') + (run.color ? `<w:color w:val="${run.color.replace('#', '')}"/>` : '');
+    const content = String(run.text ?? '').split('\n')
+      .map(line => `<w:t xml:space="preserve">${escapeXML(line)}</w:t>`)
+      .join('<w:br/>');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${content}</w:r>`;
+  }
+
+  function escapeXML(text) {
+    return String(text ?? '')
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')  // Not allowed in XML
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // ============================================================
+  // ZIP Writer
+  // Stored (uncompressed) entries: local headers, data, then the
+  // central directory and end-of-central-directory record.
+  // ============================================================
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // MS-DOS date and time of `date`
+  function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  function zip(files) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(new Date());
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.data);
+      const crc = crc32(data);
+
+      const local = new Uint8Array(30 + name.length);
+      const lv = new DataView(local.buffer);
+      lv.setUint32(0, 0x04034B50, true);   // Local file header signature
+      lv.setUint16(4, 20, true);           // Version needed
+      lv.setUint16(6, 0x0800, true);       // UTF-8 names
+      lv.setUint16(8, 0, true);            // Stored
+      lv.setUint16(10, time, true);
+      lv.setUint16(12, day, true);
+      lv.setUint32(14, crc, true);
+      lv.setUint32(18, data.length, true); // Compressed size
+      lv.setUint32(22, data.length, true); // Uncompressed size
+      lv.setUint16(26, name.length, true);
+      local.set(name, 30);
+
+      const central = new Uint8Array(46 + name.length);
+      const cv = new DataView(central.buffer);
+      cv.setUint32(0, 0x02014B50, true);   // Central directory header signature
+      cv.setUint16(4, 20, true);           // Version made by
+      cv.setUint16(6, 20, true);           // Version needed
+      cv.setUint16(8, 0x0800, true);
+      cv.setUint16(10, 0, true);
+      cv.setUint16(12, time, true);
+      cv.setUint16(14, day, true);
+      cv.setUint32(16, crc, true);
+      cv.setUint32(20, data.length, true);
+      cv.setUint32(24, data.length, true);
+      cv.setUint16(28, name.length, true);
+      cv.setUint32(42, offset, true);      // Local header offset
+      central.set(name, 46);
+
+      locals.push(local, data);
+      centrals.push(central);
+      offset += local.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((n, c) => n + c.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054B50, true);     // End of central directory signature
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, end];
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let pos = 0;
+    for (const p of parts) { out.set(p, pos); pos += p.length; }
+    return out;
+  }
+
+  // ── Public Interface ──
+  return {
+    build,
+    MIME_TYPE,
+  };
+})();
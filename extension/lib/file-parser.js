@@ -717,11 +717,32 @@ const FileParser = (() => {
         aiProvider: syncData.aiProvider || localData.aiProvider,
         openaiKey: syncData.openaiKey || localData.openaiKey,
         anthropicKey: syncData.anthropicKey || localData.anthropicKey,
+        compatibleBaseUrl: syncData.compatibleBaseUrl || localData.compatibleBaseUrl,
+        compatibleModel: syncData.compatibleModel || localData.compatibleModel,
+        compatibleKey: syncData.compatibleKey || localData.compatibleKey,
+        modelSettings: syncData.modelSettings || localData.modelSettings,
+        aiRetry: syncData.aiRetry || localData.aiRetry,
+        fallbackProvider: syncData.fallbackProvider || localData.fallbackProvider,
+        contextBudget: syncData.contextBudget ?? localData.contextBudget,
+        promptTemplates: syncData.promptTemplates || localData.promptTemplates,
+        customCommands: syncData.customCommands || localData.customCommands,
         spellingCorrection: syncData.spellingCorrection ?? localData.spellingCorrection ?? true,
         customShortcuts: syncData.customShortcuts || localData.customShortcuts,
+        autoAnswer: syncData.autoAnswer || localData.autoAnswer,
+        answerLanguage: syncData.answerLanguage || localData.answerLanguage,
+        translationBackend: syncData.translationBackend || localData.translationBackend,
+        libreTranslateUrl: syncData.libreTranslateUrl || localData.libreTranslateUrl,
+        libreTranslateKey: syncData.libreTranslateKey || localData.libreTranslateKey,
+        deeplKey: syncData.deeplKey || localData.deeplKey,
+        languageDetection: syncData.languageDetection || localData.languageDetection,
+        sessionArchive: syncData.sessionArchive || localData.sessionArchive,
+        meetingRecap: syncData.meetingRecap || localData.meetingRecap,
+        catchUp: syncData.catchUp || localData.catchUp,
+        subtitles: syncData.subtitles || localData.subtitles,
         sentenceCount: syncData.sentenceCount || localData.sentenceCount || 5,
         sourceLang: localData.sourceLang,
         targetLang: localData.targetLang,
+        extraTargetLangs: localData.extraTargetLangs,
       },
       documents: localData.documents || [],
     };
@@ -749,22 +770,52 @@ const FileParser = (() => {
     if (settings.aiProvider) syncData.aiProvider = settings.aiProvider;
     if (settings.openaiKey) syncData.openaiKey = settings.openaiKey;
     if (settings.anthropicKey) syncData.anthropicKey = settings.anthropicKey;
+    if (settings.compatibleBaseUrl) syncData.compatibleBaseUrl = settings.compatibleBaseUrl;
+    if (settings.compatibleModel) syncData.compatibleModel = settings.compatibleModel;
+    if (settings.compatibleKey) syncData.compatibleKey = settings.compatibleKey;
+    if (settings.modelSettings) syncData.modelSettings = settings.modelSettings;
+    if (settings.aiRetry) syncData.aiRetry = settings.aiRetry;
+    if (settings.fallbackProvider !== undefined) syncData.fallbackProvider = settings.fallbackProvider;
+    if (settings.contextBudget !== undefined) syncData.contextBudget = settings.contextBudget;
     if (settings.spellingCorrection !== undefined) syncData.spellingCorrection = settings.spellingCorrection;
     if (settings.customShortcuts) syncData.customShortcuts = settings.customShortcuts;
+    if (settings.autoAnswer) syncData.autoAnswer = settings.autoAnswer;
+    if (settings.answerLanguage) syncData.answerLanguage = settings.answerLanguage;
+    if (settings.translationBackend) syncData.translationBackend = settings.translationBackend;
+    if (settings.libreTranslateUrl) syncData.libreTranslateUrl = settings.libreTranslateUrl;
+    if (settings.libreTranslateKey) syncData.libreTranslateKey = settings.libreTranslateKey;
+    if (settings.deeplKey) syncData.deeplKey = settings.deeplKey;
+    if (settings.languageDetection) syncData.languageDetection = settings.languageDetection;
+    if (settings.sessionArchive) syncData.sessionArchive = settings.sessionArchive;
+    if (settings.meetingRecap) syncData.meetingRecap = settings.meetingRecap;
+    if (settings.catchUp) syncData.catchUp = settings.catchUp;
+    if (settings.subtitles) syncData.subtitles = settings.subtitles;
     if (settings.sentenceCount) syncData.sentenceCount = settings.sentenceCount;
 
     await new Promise(resolve => chrome.storage.sync.set(syncData, resolve));
 
+    // Templates and custom commands can exceed the 8 KB sync item limit; set
+    // them separately so a quota error does not reject the rest of the settings
+    const largeSettings = {};
+    for (const key of ['promptTemplates', 'customCommands']) {
+      if (!settings[key]) continue;
+      largeSettings[key] = settings[key];
+      await new Promise(resolve => chrome.storage.sync.set({ [key]: settings[key] }, () => {
+        if (chrome.runtime.lastError) chrome.storage.sync.remove(key, resolve); else resolve();
+      }));
+    }
+
     // Save to local storage
-    const localData = { ...syncData };
+    const localData = { ...syncData, ...largeSettings };
     if (settings.sourceLang) localData.sourceLang = settings.sourceLang;
     if (settings.targetLang) localData.targetLang = settings.targetLang;
+    if (Array.isArray(settings.extraTargetLangs)) localData.extraTargetLangs = settings.extraTargetLangs;
     if (documents.length > 0) localData.documents = documents;
 
     await new Promise(resolve => chrome.storage.local.set(localData, resolve));
 
     return {
-      settingsCount: Object.keys(syncData).length,
+      settingsCount: Object.keys(syncData).length + Object.keys(largeSettings).length,
       documentsCount: documents.length,
     };
   }
@@ -0,0 +1,362 @@
+// ============================================================
+// RTE - Transcript Export
+// Turns a meeting session (background/session-store.js shape) into
+// a downloadable file: SRT / WebVTT subtitles with timing cues,
+// Markdown with speaker headings, JSON with the full metadata, or
+// a Word document (lib/docx-writer.js). Markdown and Word open
+// with the meeting recap, if the session has one.
+// Pure vanilla JS — no external dependencies.
+// ============================================================
+
+const TranscriptExport = (() => {
+  'use strict';
+
+  const FORMATS = {
+    srt:  { label: 'SubRip subtitles (.srt)', extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt:  { label: 'WebVTT subtitles (.vtt)', extension: 'vtt', mimeType: 'text/vtt' },
+    md:   { label: 'Markdown (.md)', extension: 'md', mimeType: 'text/markdown' },
+    json: { label: 'JSON (.json)', extension: 'json', mimeType: 'application/json' },
+    docx: { label: 'Word document (.docx)', extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  };
+
+  const PLATFORM_NAMES = { meet: 'Google Meet', teams: 'Microsoft Teams', zoom: 'Zoom' };
+
+  // Subtitle cues: shown until the next line starts, for at most a reading time
+  const CUE_MS_PER_CHAR = 65;
+  const CUE_MIN_MS = 1500;
+  const CUE_MAX_MS = 20000;
+
+  // ── Public API ──
+
+  /**
+   * Export a session.
+   * @param {object} session - { startedAt, endedAt, platform, meetingTitle, transcript, aiResponses, … }
+   * @param {string} format - a key of FORMATS
+   * @param {{translations?: boolean, aiAnswers?: boolean}} [options]
+   * @returns {{filename: string, blob: Blob}}
+   */
+  function exportSession(session, format, { translations = true, aiAnswers = true } = {}) {
+    const spec = FORMATS[format];
+    if (!spec) throw new Error(`Unsupported export format: ${format}`);
+    const options = { translations, aiAnswers };
+
+    let blob;
+    switch (format) {
+      case 'srt': blob = textBlob(toSRT(session, options), spec.mimeType); break;
+      case 'vtt': blob = textBlob(toVTT(session, options), spec.mimeType); break;
+      case 'md': blob = textBlob(toMarkdown(session, options), spec.mimeType); break;
+      case 'json': blob = textBlob(toJSON(session, options), spec.mimeType); break;
+      case 'docx': blob = toDOCX(session, options); break;
+    }
+    return { filename: `${fileStem(session)}.${spec.extension}`, blob };
+  }
+
+  /**
+   * Transcript lines in order, each AI response placed after the last
+   * line spoken before it.
+   * @returns {Array<{line: object, index: number} | {response: object}>}
+   */
+  function timeline(session) {
+    const transcript = session.transcript || [];
+    const responses = [...(session.aiResponses || [])].sort((a, b) => a.at - b.at);
+    const items = [];
+    let next = 0;
+    transcript.forEach((line, index) => {
+      items.push({ line, index });
+      const nextLine = transcript[index + 1];
+      const until = nextLine ? nextLine.timestamp : Infinity;
+      if (until) {
+        while (next < responses.length && responses[next].at < until) items.push({ response: responses[next++] });
+      }
+    });
+    for (const response of responses.slice(next)) items.push({ response });
+    return items;
+  }
+
+  // ── Shared helpers ──
+
+  function textBlob(text, mimeType) {
+    return new Blob([text], { type: `${mimeType};charset=utf-8` });
+  }
+
+  function title(session) {
+    return session.meetingTitle || `${PLATFORM_NAMES[session.platform] || 'Meeting'} transcript`;
+  }
+
+  function pad(n, width = 2) {
+    return String(n).padStart(width, '0');
+  }
+
+  // "Weekly sync - 2026-03-14"
+  function fileStem(session) {
+    const d = new Date(session.startedAt || Date.now());
+    const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    const name = title(session).replace(/[\\/:*?"<>|\u0000-\u001F]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 80);
+    return `${name} - ${date}`;
+  }
+
+  function formatTime(ms) {
+    return ms ? new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }) : '';
+  }
+
+  function formatDateTime(ms) {
+    return ms ? new Date(ms).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '';
+  }
+
+  function sessionEnd(session) {
+    const transcript = session.transcript || [];
+    return session.endedAt || transcript[transcript.length - 1]?.timestamp || null;
+  }
+
+  function formatDuration(from, to) {
+    const minutes = Math.round((to - from) / 60000);
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+
+  // Label / value pairs describing the meeting
+  function metaFields(session) {
+    const end = sessionEnd(session);
+    const fields = [
+      ['Date', formatDateTime(session.startedAt)],
+      ['Duration', end && session.startedAt ? formatDuration(session.startedAt, end) : ''],
+      ['Platform', PLATFORM_NAMES[session.platform] || ''],
+      ['Meeting', session.meetingUrl || ''],
+      ['Languages', session.sourceLang ? `${session.sourceLang} → ${(session.targetLangs || []).join(', ')}` : ''],
+      ['Speakers', [...new Set((session.transcript || []).map(e => e.speaker))].join(', ')],
+    ];
+    return fields.filter(([, value]) => value);
+  }
+
+  // The meeting recap (background/summarizer.js) as headed sections
+  function recapSections(recap) {
+    if (!recap) return [];
+    const actions = (recap.actionItems || []).map(a =>
+      `${a.task}${a.owner ? ` — ${a.owner}` : ''}${a.due ? ` (due ${a.due})` : ''}`);
+    return [
+      { heading: 'Summary', text: recap.summary },
+      { heading: 'Key decisions', items: recap.decisions || [] },
+      { heading: 'Action items', items: actions },
+      { heading: 'Open questions', items: recap.openQuestions || [] },
+    ].filter(sec => sec.text || sec.items?.length);
+  }
+
+  function responseTitle(r) {
+    return `${r.auto ? '💡 ' : ''}${r.label || 'AI answer'}`;
+  }
+
+  // ============================================================
+  // Subtitles (SRT / WebVTT)
+  // ============================================================
+
+  function readingMs(text) {
+    return Math.min(CUE_MAX_MS, Math.max(CUE_MIN_MS, text.length * CUE_MS_PER_CHAR));
+  }
+
+  // A cue's text must not contain a blank line (it would end the cue)
+  function cueText(text) {
+    return String(text || '').replace(/\r/g, '').replace(/\n\s*\n/g, '\n').replace(/-->/g, '→').trim();
+  }
+
+  /**
+   * Cues relative to the session start, ordered by start time. A line
+   * without a timestamp follows the previous cue.
+   * @returns {Array<{start: number, end: number, speaker?: string, text: string, translatedText?: string, response?: object}>}
+   */
+  function buildCues(session, { translations, aiAnswers }) {
+    const transcript = session.transcript || [];
+    const base = session.startedAt || transcript.find(e => e.timestamp)?.timestamp || 0;
+    const cues = [];
+    let prevStart = 0;
+    let prevEnd = 0;
+
+    transcript.forEach((e, i) => {
+      const start = e.timestamp ? Math.max(e.timestamp - base, prevStart) : prevEnd;
+      const nextAt = transcript[i + 1]?.timestamp ? transcript[i + 1].timestamp - base : Infinity;
+      let end = start + readingMs(e.text || '');
+      if (nextAt > start) end = Math.min(end, nextAt);
+      cues.push({
+        start, end,
+        speaker: e.speaker,
+        text: cueText(e.text),
+        translatedText: translations ? cueText(e.translatedText) : '',
+      });
+      prevStart = start;
+      prevEnd = end;
+    });
+
+    if (aiAnswers) {
+      for (const r of session.aiResponses || []) {
+        const start = Math.max(0, (r.at || base) - base);
+        cues.push({ start, end: start + readingMs(r.answer || ''), text: cueText(r.answer), response: r });
+      }
+      cues.sort((a, b) => a.start - b.start);
+    }
+    return cues;
+  }
+
+  // 3723004 → "01:02:03,004" (SRT) or "01:02:03.004" (WebVTT)
+  function cueTimestamp(ms, separator) {
+    const t = Math.max(0, Math.round(ms));
+    return `${pad(Math.floor(t / 3600000))}:${pad(Math.floor(t / 60000) % 60)}:${pad(Math.floor(t / 1000) % 60)}${separator}${pad(t % 1000, 3)}`;
+  }
+
+  function toSRT(session, options) {
+    return buildCues(session, options).map((cue, i) => {
+      const lines = cue.response
+        ? [`[${responseTitle(cue.response)}]`, cue.text]
+        : [`${cue.speaker}: ${cue.text}`];
+      if (cue.translatedText) lines.push(`<i>${cue.translatedText}</i>`);
+      return `${i + 1}\n${cueTimestamp(cue.start, ',')} --> ${cueTimestamp(cue.end, ',')}\n${lines.join('\n')}\n`;
+    }).join('\n');
+  }
+
+  function escapeVTT(text) {
+    return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  // NOTE blocks end at a blank line and may not contain "-->"
+  function vttNote(lines) {
+    return `NOTE\n${lines.map(l => cueText(l).replace(/-->/g, '→')).filter(Boolean).join('\n')}\n`;
+  }
+
+  function toVTT(session, options) {
+    const blocks = [`WEBVTT - ${title(session).replace(/-->|\n/g, ' ')}\n`];
+    blocks.push(vttNote(metaFields(session).map(([label, value]) => `${label}: ${value}`)));
+    for (const cue of buildCues(session, options)) {
+      const lines = cue.response
+        ? [`<v RTE><b>${escapeVTT(responseTitle(cue.response))}</b>`, escapeVTT(cue.text)]
+        : [`<v ${escapeVTT(cue.speaker)}>${escapeVTT(cue.text)}`];
+      if (cue.translatedText) lines.push(`<i>${escapeVTT(cue.translatedText)}</i>`);
+      blocks.push(`${cueTimestamp(cue.start, '.')} --> ${cueTimestamp(cue.end, '.')}\n${lines.join('\n')}\n`);
+    }
+    return blocks.join('\n');
+  }
+
+  // ============================================================
+  // Markdown
+  // ============================================================
+
+  // Keep transcript text from turning into markup
+  function escapeMarkdown(text) {
+    return String(text || '')
+      .replace(/([\\`*_[\]<>|])/g, '\\$1')
+      .replace(/^(\s*)([#>+-]|\d+\.)(\s)/gm, '$1\\$2$3');
+  }
+
+  function quote(text) {
+    return text.split('\n').map(l => `> ${l}`.trimEnd()).join('\n');
+  }
+
+  function toMarkdown(session, { translations, aiAnswers }) {
+    const out = [`# ${escapeMarkdown(title(session))}`, ''];
+    for (const [label, value] of metaFields(session)) out.push(`- **${label}:** ${escapeMarkdown(value)}`);
+    const recap = recapSections(session.recap);
+    if (recap.length) {
+      out.push('', '## Recap');
+      for (const sec of recap) {
+        out.push('', `### ${sec.heading}`, '');
+        if (sec.text) out.push(escapeMarkdown(sec.text));
+        else out.push(...sec.items.map(i => `- ${escapeMarkdown(i)}`));
+      }
+    }
+    out.push('', '## Transcript', '');
+
+    let lastSpeaker = null;
+    for (const item of timeline(session)) {
+      if (item.response) {
+        if (!aiAnswers) continue;
+        const r = item.response;
+        const lines = [`**${escapeMarkdown(responseTitle(r))}** · ${formatTime(r.at)}`];
+        if (r.prompt) lines.push(`*${escapeMarkdown(r.prompt)}*`);
+        lines.push('', escapeMarkdown(r.answer));
+        out.push(quote(lines.join('\n')), '');
+        lastSpeaker = null;   // Repeat the heading after an answer
+        continue;
+      }
+      const e = item.line;
+      if (e.speaker !== lastSpeaker) {
+        out.push(`### ${escapeMarkdown(e.speaker)}${e.timestamp ? ` · ${formatTime(e.timestamp)}` : ''}`, '');
+        lastSpeaker = e.speaker;
+      }
+      out.push(escapeMarkdown(e.text), '');
+      if (translations && e.translatedText) out.push(quote(`*${escapeMarkdown(e.translatedText)}*`), '');
+    }
+    return out.join('\n');
+  }
+
+  // ============================================================
+  // JSON
+  // ============================================================
+
+  function toJSON(session, { translations, aiAnswers }) {
+    const { transcript = [], aiResponses = [], ...meta } = session;
+    const data = {
+      format: 'rte-transcript',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      session: {
+        ...meta,
+        title: title(session),
+        speakers: [...new Set(transcript.map(e => e.speaker))],
+        transcript: transcript.map(({ translatedText, ...e }) => (
+          translations && translatedText ? { ...e, translatedText } : e
+        )),
+      },
+    };
+    if (aiAnswers) data.session.aiResponses = aiResponses;
+    return JSON.stringify(data, null, 2);
+  }
+
+  // ============================================================
+  // Word (DOCX)
+  // ============================================================
+
+  function toDOCX(session, { translations, aiAnswers }) {
+    const paragraphs = [{ style: 'Title', text: title(session) }];
+    for (const [label, value] of metaFields(session)) {
+      paragraphs.push({ style: 'Meta', runs: [{ text: `${label}: `, bold: true }, { text: value }] });
+    }
+    const recap = recapSections(session.recap);
+    if (recap.length) {
+      paragraphs.push({ style: 'Heading1', text: 'Recap' });
+      for (const sec of recap) {
+        paragraphs.push({ style: 'Heading2', text: sec.heading });
+        if (sec.text) paragraphs.push({ text: sec.text });
+        else paragraphs.push(...sec.items.map(i => ({ text: `•  ${i}` })));
+      }
+    }
+    paragraphs.push({ style: 'Heading1', text: 'Transcript' });
+
+    let lastSpeaker = null;
+    for (const item of timeline(session)) {
+      if (item.response) {
+        if (!aiAnswers) continue;
+        const r = item.response;
+        const runs = [{ text: responseTitle(r), bold: true }, { text: `  ${formatTime(r.at)}`, color: '64748B' }];
+        if (r.prompt) runs.push({ text: `\n${r.prompt}`, italic: true, color: '64748B' });
+        runs.push({ text: `\n${r.answer || ''}` });
+        paragraphs.push({ style: 'Answer', runs });
+        lastSpeaker = null;
+        continue;
+      }
+      const e = item.line;
+      if (e.speaker !== lastSpeaker) {
+        paragraphs.push({
+          style: 'Heading2',
+          runs: [{ text: e.speaker }, { text: e.timestamp ? `  ${formatTime(e.timestamp)}` : '', color: '94A3B8' }],
+        });
+        lastSpeaker = e.speaker;
+      }
+      paragraphs.push({ text: e.text });
+      if (translations && e.translatedText) paragraphs.push({ style: 'Translation', text: e.translatedText });
+    }
+    return DocxWriter.build({ title: title(session), paragraphs });
+  }
+
+  // ── Public Interface ──
+  return {
+    exportSession,
+    timeline,
+    FORMATS,
+  };
+})();
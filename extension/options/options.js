@@ -36,13 +36,41 @@ function initOptions() {
   });
 
   // ──────────── Elements ────────────
-  const openaiKeyEl = document.getElementById('openaiKey');
-  const anthropicKeyEl = document.getElementById('anthropicKey');
-  const toggleOpenaiBtn = document.getElementById('toggleOpenai');
-  const toggleAnthropicBtn = document.getElementById('toggleAnthropic');
+  const providerListEl = document.getElementById('providerList');
+  const providerSettingsEl = document.getElementById('providerSettings');
   const saveApiBtn = document.getElementById('saveApiKeys');
+  const modelGridEl = document.getElementById('modelGrid');
+  const retryCountEl = document.getElementById('retryCount');
+  const requestTimeoutEl = document.getElementById('requestTimeout');
+  const fallbackProviderEl = document.getElementById('fallbackProvider');
   const spellingEl = document.getElementById('spellingCorrection');
   const sentenceCountEl = document.getElementById('sentenceCount');
+  const contextBudgetEl = document.getElementById('contextBudget');
+  const answerLanguageEl = document.getElementById('answerLanguage');
+  const subtitlesEnabledEl = document.getElementById('subtitlesEnabled');
+  const subtitlesFontSizeEl = document.getElementById('subtitlesFontSize');
+  const subtitlesPositionEl = document.getElementById('subtitlesPosition');
+  const subtitlesLinesEl = document.getElementById('subtitlesLines');
+  const subtitlesShowOriginalEl = document.getElementById('subtitlesShowOriginal');
+  const translationBackendEl = document.getElementById('translationBackend');
+  const translationBackendDescEl = document.getElementById('translationBackendDesc');
+  const translationFieldsEl = document.getElementById('translationFields');
+  const saveTranslationBtn = document.getElementById('saveTranslation');
+  const sessionArchiveEnabledEl = document.getElementById('sessionArchiveEnabled');
+  const sessionRetentionEl = document.getElementById('sessionRetention');
+  const languageDetectionEnabledEl = document.getElementById('languageDetectionEnabled');
+  const speakerLanguageListEl = document.getElementById('speakerLanguageList');
+  const speakerLanguageNameEl = document.getElementById('speakerLanguageName');
+  const speakerLanguageLangEl = document.getElementById('speakerLanguageLang');
+  const recentSpeakersEl = document.getElementById('recentSpeakers');
+  const addSpeakerLanguageBtn = document.getElementById('addSpeakerLanguage');
+  const autoAnswerEnabledEl = document.getElementById('autoAnswerEnabled');
+  const autoAnswerCooldownEl = document.getElementById('autoAnswerCooldown');
+  const autoAnswerMaxPerHourEl = document.getElementById('autoAnswerMaxPerHour');
+  const meetingRecapEnabledEl = document.getElementById('meetingRecapEnabled');
+  const meetingRecapLanguageEl = document.getElementById('meetingRecapLanguage');
+  const catchUpWindowEl = document.getElementById('catchUpWindow');
+  const catchUpRollingSummaryEl = document.getElementById('catchUpRollingSummary');
   const uploadAreaEl = document.getElementById('uploadArea');
   const fileInputEl = document.getElementById('fileInput');
   const uploadProgressEl = document.getElementById('uploadProgress');
@@ -58,6 +86,20 @@ function initOptions() {
   const exportRegistryBtn = document.getElementById('exportRegistry');
   const registryUploadAreaEl = document.getElementById('registryUploadArea');
   const registryFileInputEl = document.getElementById('registryFileInput');
+  const promptModeEl = document.getElementById('promptMode');
+  const promptSystemEl = document.getElementById('promptSystem');
+  const promptUserEl = document.getElementById('promptUser');
+  const promptStatusEl = document.getElementById('promptStatus');
+  const promptVariablesEl = document.getElementById('promptVariables');
+  const savePromptBtn = document.getElementById('savePrompt');
+  const resetPromptBtn = document.getElementById('resetPrompt');
+  const commandListEl = document.getElementById('commandList');
+  const commandIconEl = document.getElementById('commandIcon');
+  const commandLabelEl = document.getElementById('commandLabel');
+  const commandShortcutEl = document.getElementById('commandShortcut');
+  const commandPromptEl = document.getElementById('commandPrompt');
+  const saveCommandBtn = document.getElementById('saveCommand');
+  const cancelCommandBtn = document.getElementById('cancelCommandEdit');
 
   // ──────────── Toast ────────────
   let toastTimer;
@@ -69,22 +111,128 @@ function initOptions() {
     toastTimer = setTimeout(() => toastEl.classList.remove('visible'), 3000);
   }
 
+  // ──────────── AI Providers (rendered from the background registry) ────────────
+  let providerFieldKeys = [];
+
+  function loadProviders() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'getProviders' }, (resp) => {
+        const providers = (!chrome.runtime.lastError && resp?.providers) || [];
+        renderProviders(providers);
+        resolve(providers);
+      });
+    });
+  }
+
+  function renderProviders(providers) {
+    providerListEl.innerHTML = providers.map((p, i) => `
+      <label class="radio-label">
+        <input type="radio" name="aiProvider" value="${escapeHtml(p.id)}"${i === 0 ? ' checked' : ''} />
+        <span class="radio-custom"></span>
+        <div>
+          <strong>${escapeHtml(p.label)}</strong>
+          <span class="radio-desc">${escapeHtml(p.description)}</span>
+        </div>
+      </label>
+    `).join('');
+
+    fallbackProviderEl.innerHTML = '<option value="">None</option>' + providers
+      .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.label)}</option>`).join('');
+
+    const fields = providers.flatMap(p => p.fields.map(f => ({ ...f, provider: p.id })));
+    providerFieldKeys = fields.map(f => f.key);
+
+    providerSettingsEl.innerHTML = fields.map(f => `
+      <div class="card provider-field" data-provider="${escapeHtml(f.provider)}">
+        <h3 class="card-title">${escapeHtml(f.label)}</h3>
+        <div class="input-group">
+          <input type="${f.type === 'password' ? 'password' : 'text'}" class="input" id="${escapeHtml(f.key)}" data-setting="${escapeHtml(f.key)}" placeholder="${escapeHtml(f.placeholder || '')}" autocomplete="off" />
+          ${f.type === 'password' ? `<button class="btn-icon-small" data-toggle="${escapeHtml(f.key)}" title="Show/Hide">👁️</button>` : ''}
+        </div>
+        ${f.helpUrl ? `<p class="input-hint">Get your key from <a href="${escapeHtml(f.helpUrl)}" target="_blank">${escapeHtml(new URL(f.helpUrl).hostname)}</a></p>` : ''}
+        ${f.hint ? `<p class="input-hint">${escapeHtml(f.hint)}</p>` : ''}
+      </div>
+    `).join('');
+
+    providerSettingsEl.querySelectorAll('[data-toggle]').forEach((btn) => {
+      makeToggle(btn, document.getElementById(btn.dataset.toggle));
+    });
+    providerListEl.querySelectorAll('input[name="aiProvider"]').forEach((radio) => {
+      radio.addEventListener('change', highlightProviderFields);
+    });
+  }
+
+  // Dim the settings cards that belong to providers other than the selected one
+  function highlightProviderFields() {
+    const selected = document.querySelector('input[name="aiProvider"]:checked')?.value;
+    providerSettingsEl.querySelectorAll('.provider-field').forEach((card) => {
+      card.classList.toggle('provider-field-inactive', card.dataset.provider !== selected);
+    });
+  }
+
+  // ──────────── Per-Mode Model Settings ────────────
+  const MODEL_MODES = {
+    'spelling': 'Spelling correction',
+    'question': 'Suggested questions',
+    'simple-answer': 'Quick answer',
+    'detailed-answer': 'Detailed answer',
+    'custom': 'Custom commands',
+    'chat': 'Overlay chat',
+    'translation': 'Translation (AI backend)',
+    'recap': 'Meeting recap',
+    'catch-up': 'Catch me up',
+    'summary': 'Running summary',
+  };
+
+  modelGridEl.insertAdjacentHTML('beforeend', Object.entries(MODEL_MODES).map(([mode, label]) => `
+    <span class="setting-label">${label}</span>
+    <input type="text" class="input" data-model-mode="${mode}" data-model-field="model" placeholder="Provider default" autocomplete="off" />
+    <input type="number" class="input" data-model-mode="${mode}" data-model-field="temperature" min="0" max="2" step="0.1" placeholder="Default" />
+    <input type="number" class="input" data-model-mode="${mode}" data-model-field="maxTokens" min="1" max="32000" step="1" placeholder="Default" />
+  `).join(''));
+
+  function fillModelSettings(modelSettings) {
+    modelGridEl.querySelectorAll('[data-model-mode]').forEach((input) => {
+      const value = modelSettings?.[input.dataset.modelMode]?.[input.dataset.modelField];
+      input.value = value ?? '';
+    });
+  }
+
+  // Only filled-in fields are stored; anything left empty keeps the provider default
+  function collectModelSettings() {
+    const modelSettings = {};
+    modelGridEl.querySelectorAll('[data-model-mode]').forEach((input) => {
+      const raw = input.value.trim();
+      if (!raw) return;
+      const value = input.dataset.modelField === 'model' ? raw : Number(raw);
+      if (typeof value === 'number' && !Number.isFinite(value)) return;
+      (modelSettings[input.dataset.modelMode] ||= {})[input.dataset.modelField] = value;
+    });
+    return modelSettings;
+  }
+
   // ──────────── Load Settings (from sync first, then local) ────────────
   async function loadAllSettings() {
-    const settingsKeys = ['aiProvider', 'openaiKey', 'anthropicKey', 'spellingCorrection', 'customShortcuts', 'sentenceCount'];
+    const settingsKeys = ['aiProvider', ...providerFieldKeys, 'modelSettings', 'aiRetry', 'fallbackProvider', 'contextBudget', 'promptTemplates', 'spellingCorrection', 'customShortcuts', 'customCommands', 'autoAnswer', 'answerLanguage', 'translationBackend', ...translationFieldKeys, 'languageDetection', 'sessionArchive', 'meetingRecap', 'catchUp', 'subtitles', 'sentenceCount'];
     const syncData = await new Promise(r => chrome.storage.sync.get(settingsKeys, r));
     const localData = await new Promise(r => chrome.storage.local.get([...settingsKeys, 'documents'], r));
 
     // Merge: sync overrides local for settings keys
     const data = { ...localData, ...syncData };
 
-    if (data.openaiKey) openaiKeyEl.value = data.openaiKey;
-    if (data.anthropicKey) anthropicKeyEl.value = data.anthropicKey;
+    providerSettingsEl.querySelectorAll('[data-setting]').forEach((input) => {
+      input.value = data[input.dataset.setting] || '';
+    });
 
     if (data.aiProvider) {
       const radio = document.querySelector(`input[name="aiProvider"][value="${data.aiProvider}"]`);
       if (radio) radio.checked = true;
     }
+    highlightProviderFields();
+    fillModelSettings(data.modelSettings);
+    retryCountEl.value = String(data.aiRetry?.maxRetries ?? 2);
+    requestTimeoutEl.value = String(data.aiRetry?.timeoutSec ?? 30);
+    fallbackProviderEl.value = data.fallbackProvider || '';
 
     spellingEl.checked = data.spellingCorrection !== false;
 
@@ -92,10 +240,46 @@ function initOptions() {
       sentenceCountEl.value = String(data.sentenceCount);
     }
 
+    contextBudgetEl.value = String(data.contextBudget ?? 16000);
+
+    answerLanguageEl.value = data.answerLanguage || 'meeting';
+    translationBackendEl.value = data.translationBackend || 'google';
+    translationFieldsEl.querySelectorAll('[data-setting]').forEach((input) => {
+      input.value = data[input.dataset.setting] || '';
+    });
+    showTranslationBackend();
+
+    sessionArchiveEnabledEl.checked = data.sessionArchive?.enabled !== false;
+    sessionRetentionEl.value = String(data.sessionArchive?.retentionDays ?? 30);
+
+    languageDetectionEnabledEl.checked = data.languageDetection?.enabled !== false;
+    speakerLanguages = data.languageDetection?.speakers || {};
+    renderSpeakerLanguages();
+
+    subtitlesEnabledEl.checked = !!data.subtitles?.enabled;
+    subtitlesFontSizeEl.value = String(data.subtitles?.fontSize ?? 22);
+    subtitlesPositionEl.value = data.subtitles?.position || 'bottom';
+    subtitlesLinesEl.value = String(data.subtitles?.lines ?? 2);
+    subtitlesShowOriginalEl.checked = !!data.subtitles?.showOriginal;
+
+    autoAnswerEnabledEl.checked = !!data.autoAnswer?.enabled;
+    autoAnswerCooldownEl.value = String(data.autoAnswer?.cooldownSec ?? 60);
+    autoAnswerMaxPerHourEl.value = String(data.autoAnswer?.maxPerHour ?? 20);
+    meetingRecapEnabledEl.checked = !!data.meetingRecap?.enabled;
+    meetingRecapLanguageEl.value = data.meetingRecap?.language || 'user';
+    catchUpWindowEl.value = data.catchUp?.window || 'since-me';
+    catchUpRollingSummaryEl.checked = data.catchUp?.rollingSummary !== false;
+
+    promptTemplates = data.promptTemplates || {};
+    showPromptTemplate();
+
+    customCommands = data.customCommands || [];
+    renderCommands();
+
     renderDocuments(localData.documents || []);
   }
 
-  loadAllSettings();
+  Promise.all([loadProviders(), loadTranslationBackends(), loadPromptDefaults()]).then(loadAllSettings);
 
   // ──────────── Toggle Password Visibility ────────────
   function makeToggle(btn, input) {
@@ -105,16 +289,35 @@ function initOptions() {
       btn.textContent = isPassword ? '🔒' : '👁️';
     });
   }
-  makeToggle(toggleOpenaiBtn, openaiKeyEl);
-  makeToggle(toggleAnthropicBtn, anthropicKeyEl);
+
+  // Self-hosted endpoints on other machines need a host permission granted
+  // at runtime (localhost is covered by the manifest).
+  function requestEndpointPermission(baseUrl) {
+    let origin;
+    try { origin = new URL(baseUrl).origin; } catch { return Promise.resolve(false); }
+    if (/^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin)) return Promise.resolve(true);
+    return new Promise(r => chrome.permissions.request({ origins: [origin + '/*'] }, granted => r(!!granted)));
+  }
 
   // ──────────── Save API Keys (to sync + local) ────────────
   saveApiBtn.addEventListener('click', async () => {
     const aiProvider = document.querySelector('input[name="aiProvider"]:checked').value;
-    const openaiKey = openaiKeyEl.value.trim();
-    const anthropicKey = anthropicKeyEl.value.trim();
+    const data = {
+      aiProvider,
+      modelSettings: collectModelSettings(),
+      aiRetry: { maxRetries: parseInt(retryCountEl.value, 10), timeoutSec: parseInt(requestTimeoutEl.value, 10) },
+      fallbackProvider: fallbackProviderEl.value,
+    };
+    providerSettingsEl.querySelectorAll('[data-setting]').forEach((input) => {
+      data[input.dataset.setting] = input.value.trim();
+    });
 
-    const data = { aiProvider, openaiKey, anthropicKey };
+    // Only an endpoint in use as primary or fallback provider needs the permission now
+    const usesCompatible = [aiProvider, data.fallbackProvider].includes('openai-compatible');
+    if (usesCompatible && data.compatibleBaseUrl && !(await requestEndpointPermission(data.compatibleBaseUrl))) {
+      showToast('Permission to reach ' + data.compatibleBaseUrl + ' was not granted.', true);
+      return;
+    }
 
     // Save to both sync and local
     try {
@@ -142,6 +345,232 @@ function initOptions() {
     showToast('Sentence count updated');
   });
 
+  // ──────────── AI Context Budget ────────────
+  contextBudgetEl.addEventListener('change', async () => {
+    const value = parseInt(contextBudgetEl.value, 10);
+    try { await new Promise(r => chrome.storage.sync.set({ contextBudget: value }, r)); } catch {}
+    await new Promise(r => chrome.storage.local.set({ contextBudget: value }, r));
+    showToast('Prompt size limit updated');
+  });
+
+  // ──────────── Translation Backend (rendered from the background registry) ────────────
+  let translationBackends = [];
+  let translationFieldKeys = [];
+
+  function loadTranslationBackends() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'getTranslationBackends' }, (resp) => {
+        translationBackends = (!chrome.runtime.lastError && resp?.backends) || [];
+        renderTranslationBackends();
+        resolve(translationBackends);
+      });
+    });
+  }
+
+  function renderTranslationBackends() {
+    if (translationBackends.length) {
+      translationBackendEl.innerHTML = translationBackends
+        .map(b => `<option value="${escapeHtml(b.id)}">${escapeHtml(b.label)}</option>`).join('');
+    }
+    const fields = translationBackends.flatMap(b => b.fields.map(f => ({ ...f, backend: b.id })));
+    translationFieldKeys = fields.map(f => f.key);
+
+    translationFieldsEl.innerHTML = fields.map(f => `
+      <div class="translation-field" data-backend="${escapeHtml(f.backend)}">
+        <label class="setting-label" for="${escapeHtml(f.key)}">${escapeHtml(f.label)}</label>
+        <div class="input-group">
+          <input type="${f.type === 'password' ? 'password' : 'text'}" class="input" id="${escapeHtml(f.key)}" data-setting="${escapeHtml(f.key)}" placeholder="${escapeHtml(f.placeholder || '')}" autocomplete="off" />
+          ${f.type === 'password' ? `<button class="btn-icon-small" data-toggle="${escapeHtml(f.key)}" title="Show/Hide">👁️</button>` : ''}
+        </div>
+        ${f.helpUrl ? `<p class="input-hint">Get your key from <a href="${escapeHtml(f.helpUrl)}" target="_blank">${escapeHtml(new URL(f.helpUrl).hostname)}</a></p>` : ''}
+        ${f.hint ? `<p class="input-hint">${escapeHtml(f.hint)}</p>` : ''}
+      </div>
+    `).join('');
+
+    translationFieldsEl.querySelectorAll('[data-toggle]').forEach((btn) => {
+      makeToggle(btn, document.getElementById(btn.dataset.toggle));
+    });
+  }
+
+  // Only the selected backend's fields are shown
+  function showTranslationBackend() {
+    const backend = translationBackends.find(b => b.id === translationBackendEl.value);
+    translationBackendDescEl.textContent = backend?.description || '';
+    translationFieldsEl.querySelectorAll('.translation-field').forEach((el) => {
+      el.style.display = el.dataset.backend === translationBackendEl.value ? 'block' : 'none';
+    });
+  }
+
+  translationBackendEl.addEventListener('change', showTranslationBackend);
+
+  saveTranslationBtn.addEventListener('click', async () => {
+    const data = { translationBackend: translationBackendEl.value };
+    translationFieldsEl.querySelectorAll('[data-setting]').forEach((input) => {
+      data[input.dataset.setting] = input.value.trim();
+    });
+
+    if (data.translationBackend === 'libretranslate') {
+      if (!data.libreTranslateUrl) { showToast('Enter the LibreTranslate server URL.', true); return; }
+      if (!(await requestEndpointPermission(data.libreTranslateUrl))) {
+        showToast('Permission to reach ' + data.libreTranslateUrl + ' was not granted.', true);
+        return;
+      }
+    }
+    if (data.translationBackend === 'deepl' && !data.deeplKey) { showToast('Enter your DeepL API key.', true); return; }
+
+    try { await new Promise(r => chrome.storage.sync.set(data, r)); } catch {}
+    await new Promise(r => chrome.storage.local.set(data, r));
+    showToast('Translation settings saved — reactivate to apply');
+  });
+
+  // ──────────── Subtitles ────────────
+  async function saveSubtitles() {
+    const value = {
+      enabled: subtitlesEnabledEl.checked,
+      fontSize: parseInt(subtitlesFontSizeEl.value, 10),
+      position: subtitlesPositionEl.value,
+      lines: parseInt(subtitlesLinesEl.value, 10),
+      showOriginal: subtitlesShowOriginalEl.checked,
+    };
+    try { await new Promise(r => chrome.storage.sync.set({ subtitles: value }, r)); } catch {}
+    await new Promise(r => chrome.storage.local.set({ subtitles: value }, r));
+    showToast('Subtitle settings updated');
+  }
+
+  [subtitlesEnabledEl, subtitlesFontSizeEl, subtitlesPositionEl, subtitlesLinesEl, subtitlesShowOriginalEl]
+    .forEach(el => el.addEventListener('change', saveSubtitles));
+
+  // ──────────── Meeting History ────────────
+  async function saveSessionArchive() {
+    const value = {
+      enabled: sessionArchiveEnabledEl.checked,
+      retentionDays: parseInt(sessionRetentionEl.value, 10),
+    };
+    try { await new Promise(r => chrome.storage.sync.set({ sessionArchive: value }, r)); } catch {}
+    await new Promise(r => chrome.storage.local.set({ sessionArchive: value }, r));
+    showToast('Meeting history settings updated — applies from the next activation');
+  }
+
+  [sessionArchiveEnabledEl, sessionRetentionEl].forEach(el => el.addEventListener('change', saveSessionArchive));
+
+  // ──────────── Speaker Languages ────────────
+  // Languages a speaker can be pinned to — the popup's target languages
+  const SPEAKER_LANGUAGE_CODES = ['en', 'th', 'ja', 'ko', 'zh-CN', 'zh-TW', 'vi', 'id', 'ms', 'hi', 'ar', 'fr', 'de', 'es', 'pt', 'ru', 'it', 'nl', 'pl', 'tr', 'sv', 'da', 'fi', 'no', 'uk', 'cs', 'ro', 'hu', 'el', 'he', 'bn', 'ta', 'te', 'mr', 'ur', 'fa', 'sw', 'tl', 'my', 'km', 'lo'];
+  const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+  let speakerLanguages = {};  // speaker name → language code
+
+  for (const code of SPEAKER_LANGUAGE_CODES) {
+    speakerLanguageLangEl.add(new Option(languageNames.of(code), code));
+  }
+
+  function renderSpeakerLanguages() {
+    const names = Object.keys(speakerLanguages);
+    if (!names.length) {
+      speakerLanguageListEl.innerHTML = '<p class="empty-state">No speakers pinned to a language.</p>';
+      return;
+    }
+    speakerLanguageListEl.innerHTML = names.map(name => `
+      <div class="doc-item">
+        <div class="doc-info">
+          <span class="doc-name">${escapeHtml(name)}</span>
+          <span class="doc-meta">${escapeHtml(languageNames.of(speakerLanguages[name]))}</span>
+        </div>
+        <button class="doc-remove" data-speaker="${escapeHtml(name)}" title="Unpin">✕</button>
+      </div>
+    `).join('');
+  }
+
+  async function saveLanguageDetection(message) {
+    const value = { enabled: languageDetectionEnabledEl.checked, speakers: speakerLanguages };
+    await saveSyncedSetting('languageDetection', value, message);
+  }
+
+  languageDetectionEnabledEl.addEventListener('change', () => {
+    saveLanguageDetection(languageDetectionEnabledEl.checked ? 'Language detection on' : 'Language detection off — reactivate to apply to the Google Translate tab');
+  });
+
+  addSpeakerLanguageBtn.addEventListener('click', async () => {
+    const name = speakerLanguageNameEl.value.trim();
+    if (!name) { showToast('Enter the speaker\'s name as shown in the captions', true); return; }
+    speakerLanguages = { ...speakerLanguages, [name]: speakerLanguageLangEl.value };
+    speakerLanguageNameEl.value = '';
+    renderSpeakerLanguages();
+    await saveLanguageDetection(`${name} pinned to ${languageNames.of(speakerLanguageLangEl.value)}`);
+  });
+
+  speakerLanguageListEl.addEventListener('click', async (e) => {
+    const name = e.target.closest('[data-speaker]')?.dataset.speaker;
+    if (name === undefined) return;
+    const { [name]: _, ...rest } = speakerLanguages;
+    speakerLanguages = rest;
+    renderSpeakerLanguages();
+    await saveLanguageDetection(`${name} unpinned`);
+  });
+
+  // Suggest names from the current call
+  chrome.runtime.sendMessage({ type: 'getRecentSpeakers' }, (resp) => {
+    if (chrome.runtime.lastError || !resp?.speakers) return;
+    recentSpeakersEl.innerHTML = resp.speakers.map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+  });
+
+  // ──────────── Answer Language ────────────
+  answerLanguageEl.addEventListener('change', async () => {
+    const value = answerLanguageEl.value;
+    try { await new Promise(r => chrome.storage.sync.set({ answerLanguage: value }, r)); } catch {}
+    await new Promise(r => chrome.storage.local.set({ answerLanguage: value }, r));
+    showToast('Answer language updated');
+  });
+
+  // ──────────── Auto Answer ────────────
+  async function saveAutoAnswer(message) {
+    const value = {
+      enabled: autoAnswerEnabledEl.checked,
+      cooldownSec: parseInt(autoAnswerCooldownEl.value, 10),
+      maxPerHour: parseInt(autoAnswerMaxPerHourEl.value, 10),
+    };
+    try { await new Promise(r => chrome.storage.sync.set({ autoAnswer: value }, r)); } catch {}
+    await new Promise(r => chrome.storage.local.set({ autoAnswer: value }, r));
+    showToast(message);
+  }
+
+  autoAnswerEnabledEl.addEventListener('change', () => {
+    saveAutoAnswer(autoAnswerEnabledEl.checked ? 'Auto answer enabled' : 'Auto answer disabled');
+  });
+  autoAnswerCooldownEl.addEventListener('change', () => saveAutoAnswer('Auto answer gap updated'));
+  autoAnswerMaxPerHourEl.addEventListener('change', () => saveAutoAnswer('Auto answer limit updated'));
+
+  // ──────────── Meeting Recap ────────────
+  async function saveMeetingRecap(message) {
+    const value = {
+      enabled: meetingRecapEnabledEl.checked,
+      language: meetingRecapLanguageEl.value,
+    };
+    try { await new Promise(r => chrome.storage.sync.set({ meetingRecap: value }, r)); } catch {}
+    await new Promise(r => chrome.storage.local.set({ meetingRecap: value }, r));
+    showToast(message);
+  }
+
+  meetingRecapEnabledEl.addEventListener('change', () => {
+    saveMeetingRecap(meetingRecapEnabledEl.checked ? 'Meeting recap enabled' : 'Meeting recap disabled');
+  });
+  meetingRecapLanguageEl.addEventListener('change', () => saveMeetingRecap('Recap language updated'));
+
+  // ──────────── Catch Me Up ────────────
+  async function saveCatchUp(message) {
+    const value = {
+      window: catchUpWindowEl.value,
+      rollingSummary: catchUpRollingSummaryEl.checked,
+    };
+    try { await new Promise(r => chrome.storage.sync.set({ catchUp: value }, r)); } catch {}
+    await new Promise(r => chrome.storage.local.set({ catchUp: value }, r));
+    showToast(message);
+  }
+
+  catchUpWindowEl.addEventListener('change', () => saveCatchUp('Catch-up window updated'));
+  catchUpRollingSummaryEl.addEventListener('change', () => {
+    saveCatchUp(catchUpRollingSummaryEl.checked ? 'Running summary enabled' : 'Running summary disabled');
+  });
+
   // ──────────── File Upload (Multi-file with PDF/DOCX support) ────────────
   uploadAreaEl.addEventListener('click', () => fileInputEl.click());
 
@@ -284,6 +713,12 @@ function initOptions() {
 
   function syncDocumentsToBackground(documents) {
     chrome.runtime.sendMessage({ type: 'syncDocuments', documents }).catch(() => {});
+    indexDocumentsInBackground(documents);
+  }
+
+  // Chunk and index documents for retrieval now, not on the first shortcut press
+  function indexDocumentsInBackground(documents) {
+    chrome.runtime.sendMessage({ type: 'indexDocuments', documents }).catch(() => {});
   }
 
   function renderDocuments(documents) {
@@ -340,9 +775,14 @@ function initOptions() {
     'generate-detailed-answer': 'Ctrl+Shift+E',
     'clear-translate': 'Ctrl+Shift+Z',
     'copy-captions': 'Ctrl+Shift+C',
+    'open-chat': 'Ctrl+Shift+Y',
+    'catch-up': 'Ctrl+Shift+L',
   };
 
-  const shortcutInputs = document.querySelectorAll('.shortcut-input');
+  // Handled by the overlay only — not registered with chrome://extensions/shortcuts
+  const OVERLAY_ONLY_COMMANDS = ['open-chat', 'catch-up'];
+
+  const shortcutInputs = document.querySelectorAll('.shortcut-input[data-command]');
   const saveShortcutsBtn = document.getElementById('saveShortcuts');
   const resetShortcutsBtn = document.getElementById('resetShortcuts');
 
@@ -350,7 +790,7 @@ function initOptions() {
   async function loadShortcuts() {
     const syncData = await new Promise(r => chrome.storage.sync.get(['customShortcuts'], r));
     const localData = await new Promise(r => chrome.storage.local.get(['customShortcuts'], r));
-    const shortcuts = syncData.customShortcuts || localData.customShortcuts || DEFAULT_SHORTCUTS;
+    const shortcuts = { ...DEFAULT_SHORTCUTS, ...(syncData.customShortcuts || localData.customShortcuts) };
     shortcutInputs.forEach((input) => {
       const cmd = input.dataset.command;
       if (shortcuts[cmd]) {
@@ -361,6 +801,32 @@ function initOptions() {
   }
   loadShortcuts();
 
+  /**
+   * Key combo like "Ctrl+Shift+K" for a keydown event; null while only
+   * modifiers are held, '' if no modifier was pressed.
+   */
+  function keyEventToCombo(e) {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    if (parts.length === 0) return '';
+
+    let keyName = e.key;
+    if (keyName === ' ') keyName = 'Space';
+    else if (keyName.length === 1) keyName = keyName.toUpperCase();
+    const keyMap = {
+      'Escape': 'Esc', 'Backspace': 'Backspace', 'Delete': 'Delete',
+      'Enter': 'Enter', 'Tab': 'Tab',
+    };
+    if (keyMap[keyName]) keyName = keyMap[keyName];
+
+    parts.push(keyName);
+    return parts.join('+');
+  }
+
   // Shortcut recorder
   shortcutInputs.forEach((input) => {
     input.addEventListener('focus', () => {
@@ -381,33 +847,16 @@ function initOptions() {
       e.preventDefault();
       e.stopPropagation();
 
-      if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
-
-      const parts = [];
-      if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
-      if (e.altKey) parts.push('Alt');
-      if (e.shiftKey) parts.push('Shift');
+      const combo = keyEventToCombo(e);
+      if (combo === null) return;
 
-      if (parts.length === 0) {
+      if (combo === '') {
         input.value = 'Need modifier key';
         setTimeout(() => { input.value = 'Press keys...'; }, 1000);
         return;
       }
 
-      let keyName = e.key;
-      if (keyName === ' ') keyName = 'Space';
-      else if (keyName.length === 1) keyName = keyName.toUpperCase();
-      else if (keyName.startsWith('Arrow')) keyName = keyName;
-      const keyMap = {
-        'Escape': 'Esc', 'Backspace': 'Backspace', 'Delete': 'Delete',
-        'Enter': 'Enter', 'Tab': 'Tab',
-      };
-      if (keyMap[keyName]) keyName = keyMap[keyName];
-
-      parts.push(keyName);
-      const combo = parts.join('+');
-
-      let duplicate = false;
+      let duplicate = customCommands.some(c => c.shortcut === combo);
       shortcutInputs.forEach((other) => {
         if (other !== input && other.value === combo) {
           duplicate = true;
@@ -436,15 +885,18 @@ function initOptions() {
     'generate-detailed-answer': 'Detailed answer',
     'clear-translate': 'Clear history',
     'copy-captions': 'Copy captions',
+    'open-chat': 'Open chat',
+    'catch-up': 'Catch me up',
   };
 
   function checkAndShowSyncNotice(shortcuts) {
     const hasChanges = Object.keys(DEFAULT_SHORTCUTS).some(
-      (key) => shortcuts[key] !== DEFAULT_SHORTCUTS[key]
+      (key) => !OVERLAY_ONLY_COMMANDS.includes(key) && shortcuts[key] !== DEFAULT_SHORTCUTS[key]
     );
 
     if (hasChanges) {
       noticeSyncList.innerHTML = Object.entries(shortcuts)
+        .filter(([cmd]) => !OVERLAY_ONLY_COMMANDS.includes(cmd))
         .map(([cmd, combo]) => `
           <div class="notice-shortcut-row">
             <span class="notice-cmd">${COMMAND_LABELS[cmd] || cmd}</span>
@@ -499,6 +951,221 @@ function initOptions() {
     showToast('Shortcuts reset to defaults.');
   });
 
+  // ──────────── Prompt Templates ────────────
+  let promptDefaults = {};   // Built-in templates from the background, by mode
+  let promptTemplates = {};  // Saved overrides: { [mode]: { system?, user? } }
+  let lastPromptField = promptSystemEl;
+
+  function loadPromptDefaults() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'getPromptDefaults' }, (resp) => {
+        if (chrome.runtime.lastError || !resp?.templates) { resolve(); return; }
+        promptDefaults = resp.templates;
+        promptModeEl.innerHTML = Object.entries(promptDefaults)
+          .map(([mode, t]) => `<option value="${escapeHtml(mode)}">${escapeHtml(t.label)}</option>`).join('');
+        promptVariablesEl.innerHTML = resp.variables
+          .map(v => `<button type="button" class="prompt-variable" data-variable="${escapeHtml(v.name)}" title="${escapeHtml(v.description)}">{{${escapeHtml(v.name)}}}</button>`).join('');
+        resolve();
+      });
+    });
+  }
+
+  function showPromptTemplate() {
+    const mode = promptModeEl.value;
+    const def = promptDefaults[mode];
+    if (!def) return;
+    const own = promptTemplates[mode] || {};
+    promptSystemEl.value = own.system || def.system;
+    promptUserEl.value = own.user || def.user;
+    promptStatusEl.textContent = (own.system || own.user)
+      ? 'Customised — Reset to Default restores the built-in template.'
+      : 'Using the built-in template.';
+  }
+
+  // Sync items are capped at 8 KB; larger values then live on this device only
+  async function saveSyncedSetting(key, value, message) {
+    await new Promise(r => chrome.storage.local.set({ [key]: value }, r));
+    const synced = await new Promise(r => chrome.storage.sync.set({ [key]: value }, () => r(!chrome.runtime.lastError)));
+    if (!synced) {
+      // Drop the stale synced copy so it does not take precedence over local
+      await new Promise(r => chrome.storage.sync.remove(key, () => r(!chrome.runtime.lastError)));
+    }
+    showToast(synced ? message : message + ' Too large to sync — kept on this device only.', !synced);
+  }
+
+  async function savePromptTemplates(next, message) {
+    promptTemplates = next;
+    showPromptTemplate();
+    await saveSyncedSetting('promptTemplates', next, message);
+  }
+
+  promptModeEl.addEventListener('change', showPromptTemplate);
+  promptSystemEl.addEventListener('focus', () => { lastPromptField = promptSystemEl; });
+  promptUserEl.addEventListener('focus', () => { lastPromptField = promptUserEl; });
+
+  // Insert the clicked variable at the cursor of the last focused field
+  promptVariablesEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-variable]');
+    if (!btn) return;
+    const field = lastPromptField;
+    const token = `{{${btn.dataset.variable}}}`;
+    const { selectionStart: start, selectionEnd: end } = field;
+    field.value = field.value.slice(0, start) + token + field.value.slice(end);
+    field.focus();
+    field.selectionStart = field.selectionEnd = start + token.length;
+  });
+
+  savePromptBtn.addEventListener('click', async () => {
+    const mode = promptModeEl.value;
+    const def = promptDefaults[mode];
+    if (!def) return;
+    const system = promptSystemEl.value.trim();
+    const user = promptUserEl.value.trim();
+    if (!system.includes('{{transcript}}') && !user.includes('{{transcript}}')) {
+      showToast('Add {{transcript}} to the system prompt or user message — otherwise the AI never sees the conversation.', true);
+      return;
+    }
+
+    // Only store what differs from the default, so later default improvements still apply
+    const entry = {};
+    if (system && system !== def.system) entry.system = system;
+    if (user && user !== def.user) entry.user = user;
+    const next = { ...promptTemplates };
+    if (Object.keys(entry).length) next[mode] = entry; else delete next[mode];
+    await savePromptTemplates(next, `${def.label} template saved.`);
+  });
+
+  resetPromptBtn.addEventListener('click', async () => {
+    const mode = promptModeEl.value;
+    if (!promptDefaults[mode]) return;
+    const next = { ...promptTemplates };
+    delete next[mode];
+    await savePromptTemplates(next, `${promptDefaults[mode].label} template reset to default.`);
+  });
+
+  // ──────────── Custom Commands ────────────
+  let customCommands = [];       // [{ id, label, icon, prompt, shortcut }]
+  let editingCommandId = null;   // Set while the form edits an existing command
+
+  function renderCommands() {
+    if (!customCommands.length) {
+      commandListEl.innerHTML = '<p class="empty-state">No custom commands yet.</p>';
+      return;
+    }
+    commandListEl.innerHTML = customCommands.map(c => `
+      <div class="doc-item">
+        <div class="doc-info">
+          <span class="doc-name">${escapeHtml(c.icon || '✨')} ${escapeHtml(c.label)}</span>
+          <span class="doc-meta">${c.shortcut ? escapeHtml(c.shortcut) : 'No shortcut'} · ${escapeHtml(c.prompt.slice(0, 80))}${c.prompt.length > 80 ? '…' : ''}</span>
+        </div>
+        <div class="command-actions">
+          <button class="command-edit" data-edit="${escapeHtml(c.id)}" title="Edit">✎</button>
+          <button class="doc-remove" data-delete="${escapeHtml(c.id)}" title="Delete">✕</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  function resetCommandForm() {
+    editingCommandId = null;
+    commandIconEl.value = '';
+    commandLabelEl.value = '';
+    commandShortcutEl.value = '';
+    commandPromptEl.value = '';
+    saveCommandBtn.textContent = 'Add Command';
+    cancelCommandBtn.style.display = 'none';
+  }
+
+  // Taken by a built-in command or by another custom command
+  function isShortcutTaken(combo, exceptCommandId = null) {
+    return [...shortcutInputs].some(input => input.value === combo)
+      || customCommands.some(c => c.id !== exceptCommandId && c.shortcut === combo);
+  }
+
+  commandListEl.addEventListener('click', async (e) => {
+    const editId = e.target.closest('[data-edit]')?.dataset.edit;
+    const deleteId = e.target.closest('[data-delete]')?.dataset.delete;
+    if (editId) {
+      const c = customCommands.find(x => x.id === editId);
+      if (!c) return;
+      editingCommandId = c.id;
+      commandIconEl.value = c.icon || '';
+      commandLabelEl.value = c.label;
+      commandShortcutEl.value = c.shortcut || '';
+      commandPromptEl.value = c.prompt;
+      saveCommandBtn.textContent = 'Save Changes';
+      cancelCommandBtn.style.display = '';
+      commandLabelEl.focus();
+    } else if (deleteId) {
+      const c = customCommands.find(x => x.id === deleteId);
+      if (!c || !confirm(`Delete the "${c.label}" command?`)) return;
+      customCommands = customCommands.filter(x => x.id !== deleteId);
+      if (editingCommandId === deleteId) resetCommandForm();
+      renderCommands();
+      await saveSyncedSetting('customCommands', customCommands, 'Command deleted.');
+    }
+  });
+
+  let commandShortcutBefore = '';
+  commandShortcutEl.addEventListener('focus', () => {
+    commandShortcutBefore = commandShortcutEl.value;
+    commandShortcutEl.classList.add('recording');
+    commandShortcutEl.value = 'Press keys...';
+  });
+  commandShortcutEl.addEventListener('blur', () => {
+    commandShortcutEl.classList.remove('recording');
+    if (commandShortcutEl.value === 'Press keys...') commandShortcutEl.value = commandShortcutBefore;
+  });
+  commandShortcutEl.addEventListener('keydown', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if ((e.key === 'Backspace' || e.key === 'Delete') && !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey) {
+      commandShortcutBefore = '';
+      commandShortcutEl.blur();
+      return;
+    }
+    const combo = keyEventToCombo(e);
+    if (combo === null) return;
+    if (combo === '') {
+      commandShortcutEl.value = 'Need modifier key';
+      setTimeout(() => { commandShortcutEl.value = 'Press keys...'; }, 1000);
+      return;
+    }
+    if (isShortcutTaken(combo, editingCommandId)) {
+      commandShortcutEl.value = 'Already in use!';
+      setTimeout(() => { commandShortcutEl.value = 'Press keys...'; }, 1200);
+      return;
+    }
+    commandShortcutBefore = combo;
+    commandShortcutEl.value = combo;
+    commandShortcutEl.blur();
+  });
+
+  saveCommandBtn.addEventListener('click', async () => {
+    const label = commandLabelEl.value.trim();
+    const prompt = commandPromptEl.value.trim();
+    if (!label || !prompt) {
+      showToast('Give the command a name and a prompt.', true);
+      return;
+    }
+    const command = {
+      id: editingCommandId || 'cmd-' + Date.now(),
+      label,
+      icon: commandIconEl.value.trim(),
+      prompt,
+      shortcut: commandShortcutEl.value.includes('+') ? commandShortcutEl.value : '',
+    };
+    const wasEditing = !!editingCommandId;
+    customCommands = wasEditing
+      ? customCommands.map(c => (c.id === command.id ? command : c))
+      : [...customCommands, command];
+    resetCommandForm();
+    renderCommands();
+    await saveSyncedSetting('customCommands', customCommands, wasEditing ? `"${label}" updated.` : `"${label}" added.`);
+  });
+
+  cancelCommandBtn.addEventListener('click', resetCommandForm);
+
   // ──────────── Export Registry ────────────
   exportRegistryBtn.addEventListener('click', async () => {
     try {
@@ -553,6 +1220,8 @@ function initOptions() {
       const text = await readFileAsText(file);
       const result = await FileParser.importRegistry(text);
       showToast(`Registry imported: ${result.settingsCount} settings, ${result.documentsCount} documents restored!`);
+      const { documents } = await new Promise(r => chrome.storage.local.get(['documents'], r));
+      indexDocumentsInBackground(documents || []);
 
       // Reload the page to reflect changes
       setTimeout(() => loadAllSettings(), 500);
@@ -567,10 +1236,11 @@ function initOptions() {
       const syncData = await new Promise(r => chrome.storage.sync.get(null, r));
       const localData = await new Promise(r => chrome.storage.local.get(['documents'], r));
 
+      const hasProviderConfig = providerFieldKeys.some(k => syncData[k]);
       document.getElementById('syncApiKeys').textContent =
-        (syncData.openaiKey || syncData.anthropicKey) ? '✓ Synced' : '✗ Not set';
+        hasProviderConfig ? '✓ Synced' : '✗ Not set';
       document.getElementById('syncApiKeys').className =
-        'sync-value ' + ((syncData.openaiKey || syncData.anthropicKey) ? 'sync-ok' : 'sync-warn');
+        'sync-value ' + (hasProviderConfig ? 'sync-ok' : 'sync-warn');
 
       document.getElementById('syncProvider').textContent =
         syncData.aiProvider ? `✓ ${syncData.aiProvider}` : '✗ Not set';
@@ -595,18 +1265,45 @@ function initOptions() {
 
   // ──────────── Clear All Data ────────────
   clearAllBtn.addEventListener('click', () => {
-    if (!confirm('Are you sure you want to clear all local data? Synced settings (API keys, shortcuts) will be preserved in Chrome sync.')) return;
+    if (!confirm('Are you sure you want to clear all local data, including your meeting history? Synced settings (API keys, shortcuts) will be preserved in Chrome sync.')) return;
 
+    chrome.runtime.sendMessage({ type: 'clearSessions' }).catch(() => {});
     chrome.storage.local.clear(() => {
-      openaiKeyEl.value = '';
-      anthropicKeyEl.value = '';
+      providerSettingsEl.querySelectorAll('[data-setting]').forEach((input) => { input.value = ''; });
+      fillModelSettings({});
+      retryCountEl.value = '2';
+      requestTimeoutEl.value = '30';
+      fallbackProviderEl.value = '';
       spellingEl.checked = true;
       sentenceCountEl.value = '5';
+      contextBudgetEl.value = '16000';
+      answerLanguageEl.value = 'meeting';
+      translationBackendEl.value = 'google';
+      translationFieldsEl.querySelectorAll('[data-setting]').forEach((input) => { input.value = ''; });
+      showTranslationBackend();
+      sessionArchiveEnabledEl.checked = true;
+      sessionRetentionEl.value = '30';
+      languageDetectionEnabledEl.checked = true;
+      speakerLanguages = {};
+      renderSpeakerLanguages();
+      subtitlesEnabledEl.checked = false;
+      subtitlesFontSizeEl.value = '22';
+      subtitlesPositionEl.value = 'bottom';
+      subtitlesLinesEl.value = '2';
+      subtitlesShowOriginalEl.checked = false;
+      autoAnswerEnabledEl.checked = false;
+      autoAnswerCooldownEl.value = '60';
+      autoAnswerMaxPerHourEl.value = '20';
+      meetingRecapEnabledEl.checked = false;
+      meetingRecapLanguageEl.value = 'user';
+      catchUpWindowEl.value = 'since-me';
+      catchUpRollingSummaryEl.checked = true;
       renderDocuments([]);
+      indexDocumentsInBackground([]);
       shortcutInputs.forEach((input) => {
         input.value = DEFAULT_SHORTCUTS[input.dataset.command] || '';
       });
-      showToast('Local data cleared. Synced settings preserved.');
+      showToast('Local data and meeting history cleared. Synced settings preserved.');
     });
   });
 }
@@ -67,6 +67,8 @@ document.addEventListener('DOMContentLoaded', () => {
   // ──────────── Main App ────────────
   const sourceLangEl = document.getElementById('sourceLang');
   const targetLangEl = document.getElementById('targetLang');
+  const extraLangsEl = document.getElementById('extraTargetLangs');
+  const addTargetLangEl = document.getElementById('addTargetLang');
   const activateBtn = document.getElementById('activateBtn');
   const btnIcon = document.getElementById('btnIcon');
   const btnText = document.getElementById('btnText');
@@ -75,7 +77,11 @@ document.addEventListener('DOMContentLoaded', () => {
   const infoSection = document.getElementById('infoSection');
   const infoPlatform = document.getElementById('infoPlatform');
   const infoLines = document.getElementById('infoLines');
+  const infoWindowRow = document.getElementById('infoWindowRow');
+  const infoWindow = document.getElementById('infoWindow');
   const settingsLink = document.getElementById('settingsLink');
+  const historyLink = document.getElementById('historyLink');
+  const exportLink = document.getElementById('exportLink');
   const popupSentenceCount = document.getElementById('popupSentenceCount');
 
   let isActive = false;
@@ -102,6 +108,14 @@ document.addEventListener('DOMContentLoaded', () => {
       const platformNames = { meet: 'Google Meet', teams: 'Microsoft Teams', zoom: 'Zoom' };
       infoPlatform.textContent = platformNames[status.platform] || 'Waiting for meeting...';
       infoLines.textContent = status.transcriptCount || '0';
+
+      // Google Translate holds ~5000 characters; say when older lines no longer fit
+      const win = status.translateWindow;
+      infoWindowRow.style.display = win?.clipped ? 'flex' : 'none';
+      if (win?.clipped) {
+        infoWindow.textContent = `Last ${win.shown} of ${win.total} lines`;
+        infoWindow.title = 'Older text scrolled out of the Google Translate window. It is still kept for AI answers and caption copy.';
+      }
     } else {
       activateBtn.classList.remove('active');
       btnIcon.textContent = '▶';
@@ -112,10 +126,58 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // ──────────── Extra Target Languages ────────────
+  // Each one gets its own translation tab alongside the main target
+  const MAX_EXTRA_LANGS = 3;
+  let extraLangs = [];
+
+  function langLabel(code) {
+    return targetLangEl.querySelector(`option[value="${code}"]`)?.textContent || code;
+  }
+
+  function renderExtraLangs() {
+    extraLangs = extraLangs.filter(code => code !== targetLangEl.value);
+    extraLangsEl.innerHTML = '';
+    for (const code of extraLangs) {
+      const chip = document.createElement('span');
+      chip.className = 'lang-chip';
+      chip.textContent = langLabel(code);
+      const remove = document.createElement('button');
+      remove.className = 'lang-chip-remove';
+      remove.textContent = '×';
+      remove.title = 'Remove';
+      remove.addEventListener('click', () => {
+        extraLangs = extraLangs.filter(c => c !== code);
+        saveExtraLangs();
+      });
+      chip.appendChild(remove);
+      extraLangsEl.appendChild(chip);
+    }
+
+    addTargetLangEl.length = 1;
+    for (const opt of targetLangEl.options) {
+      if (opt.value === targetLangEl.value || extraLangs.includes(opt.value)) continue;
+      addTargetLangEl.add(new Option(opt.textContent, opt.value));
+    }
+    addTargetLangEl.disabled = extraLangs.length >= MAX_EXTRA_LANGS;
+  }
+
+  function saveExtraLangs() {
+    renderExtraLangs();
+    chrome.storage.local.set({ extraTargetLangs: extraLangs });
+  }
+
+  addTargetLangEl.addEventListener('change', () => {
+    if (addTargetLangEl.value) extraLangs.push(addTargetLangEl.value);
+    saveExtraLangs();
+  });
+
   // ──────────── Load Saved Languages ────────────
-  chrome.storage.local.get(['sourceLang', 'targetLang'], (data) => {
+  chrome.storage.local.get(['sourceLang', 'targetLang', 'extraTargetLangs'], (data) => {
     if (data.sourceLang) sourceLangEl.value = data.sourceLang;
     if (data.targetLang) targetLangEl.value = data.targetLang;
+    extraLangs = (data.extraTargetLangs || []).slice(0, MAX_EXTRA_LANGS);
+    renderExtraLangs();
   });
 
   // ──────────── Load Sentence Count (from sync first) ────────────
@@ -150,6 +212,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   targetLangEl.addEventListener('change', () => {
     chrome.storage.local.set({ targetLang: targetLangEl.value });
+    saveExtraLangs();
   });
 
   // ──────────── Activate / Deactivate ────────────
@@ -159,6 +222,7 @@ document.addEventListener('DOMContentLoaded', () => {
         type: 'activate',
         sourceLang: sourceLangEl.value,
         targetLang: targetLangEl.value,
+        targetLangs: [targetLangEl.value, ...extraLangs],
       }, (response) => {
         if (response?.ok) {
           isActive = true;
@@ -183,6 +247,18 @@ document.addEventListener('DOMContentLoaded', () => {
     chrome.runtime.openOptionsPage();
   });
 
+  // ──────────── History Link ────────────
+  historyLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+  });
+
+  // The live meeting opens in the history page, which has the export options
+  exportLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html?live') });
+  });
+
   // ──────────── Load Custom Shortcuts into Popup ────────────
   const shortcutLabels = {
     'generate-question': 'Generate questions',
@@ -190,6 +266,8 @@ document.addEventListener('DOMContentLoaded', () => {
     'generate-detailed-answer': 'Detailed answer',
     'clear-translate': 'Clear history',
     'copy-captions': 'Copy captions',
+    'open-chat': 'Open chat',
+    'catch-up': 'Catch me up',
   };
 
   function escapeHtml(str) {
@@ -199,21 +277,33 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   async function loadPopupShortcuts() {
-    const syncData = await new Promise(r => chrome.storage.sync.get(['customShortcuts'], r));
-    const localData = await new Promise(r => chrome.storage.local.get(['customShortcuts'], r));
+    const syncData = await new Promise(r => chrome.storage.sync.get(['customShortcuts', 'customCommands'], r));
+    const localData = await new Promise(r => chrome.storage.local.get(['customShortcuts', 'customCommands'], r));
     const shortcuts = syncData.customShortcuts || localData.customShortcuts;
-    if (!shortcuts) return; // keep defaults shown in HTML
+    const commands = (syncData.customCommands || localData.customCommands || []).filter(c => c.shortcut);
+    if (!shortcuts && !commands.length) return; // keep defaults shown in HTML
 
     const container = document.getElementById('popupShortcutList');
     if (!container) return;
 
-    container.innerHTML = Object.entries(shortcuts)
-      .map(([cmd, combo]) => `
-        <div class="shortcut-row${cmd === 'copy-captions' ? ' shortcut-row-highlight' : ''}">
-          <kbd>${escapeHtml(combo)}</kbd>
-          <span>${escapeHtml(shortcutLabels[cmd] || cmd)}</span>
+    if (shortcuts) {
+      container.innerHTML = Object.entries(shortcuts)
+        .map(([cmd, combo]) => `
+          <div class="shortcut-row${cmd === 'copy-captions' ? ' shortcut-row-highlight' : ''}">
+            <kbd>${escapeHtml(combo)}</kbd>
+            <span>${escapeHtml(shortcutLabels[cmd] || cmd)}</span>
+          </div>
+        `).join('');
+    }
+
+    // User-defined AI commands
+    container.insertAdjacentHTML('beforeend', commands
+      .map(c => `
+        <div class="shortcut-row">
+          <kbd>${escapeHtml(c.shortcut)}</kbd>
+          <span>${escapeHtml(c.label)}</span>
         </div>
-      `).join('');
+      `).join(''));
   }
 
   loadPopupShortcuts();
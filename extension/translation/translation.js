@@ -0,0 +1,80 @@
+// ============================================================
+// RTE - Translation Page
+// Shows the transcript translated by a translation backend other
+// than the Google Translate tab (AI provider, LibreTranslate,
+// DeepL). The service worker pushes
+// { blocks: [{ speaker, text, lang, translated }] }; `lang` is each
+// block's own (detected or pinned) source language.
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  const blocksEl = document.getElementById('blocks');
+  const emptyEl = document.getElementById('empty');
+  const errorEl = document.getElementById('error');
+  const langPairEl = document.getElementById('langPair');
+  const showOriginalEl = document.getElementById('showOriginal');
+
+  const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+  function languageName(code) {
+    if (!code || code === 'auto') return 'Auto-detected';
+    try { return languageNames.of(code) || code; } catch { return code; }
+  }
+
+  function escapeHtml(t) {
+    const d = document.createElement('div');
+    d.textContent = t;
+    return d.innerHTML;
+  }
+
+  function render({ blocks = [], error = '', sourceLang, targetLang, backendLabel }) {
+    if (targetLang) {
+      langPairEl.textContent = `${languageName(sourceLang)} → ${languageName(targetLang)}` + (backendLabel ? ` · ${backendLabel}` : '');
+      // One page per target language — name the tab after it
+      document.title = `RTE Translation · ${languageName(targetLang)}`;
+    }
+    errorEl.textContent = error ? `Translation failed: ${error}` : '';
+    errorEl.style.display = error ? 'block' : 'none';
+
+    // Stay pinned to the newest line unless the user scrolled up to read
+    const atBottom = window.innerHeight + window.scrollY >= document.body.scrollHeight - 40;
+    emptyEl.style.display = blocks.length ? 'none' : 'block';
+    blocksEl.querySelectorAll('.block').forEach(el => el.remove());
+    blocksEl.insertAdjacentHTML('beforeend', blocks.map(b => `
+      <div class="block">
+        <div class="block-speaker">${escapeHtml(b.speaker)}${b.lang && b.lang !== sourceLang ? `<span class="block-lang">${escapeHtml(languageName(b.lang))}</span>` : ''}</div>
+        <div class="block-translated${b.translated === null ? ' pending' : ''}">${escapeHtml(b.translated ?? '…')}</div>
+        <div class="block-original">${escapeHtml(b.text)}</div>
+      </div>`).join(''));
+    if (atBottom) window.scrollTo(0, document.body.scrollHeight);
+  }
+
+  chrome.storage.local.get(['translationShowOriginal'], (data) => {
+    showOriginalEl.checked = data.translationShowOriginal !== false;
+    document.body.classList.toggle('hide-original', !showOriginalEl.checked);
+  });
+  showOriginalEl.addEventListener('change', () => {
+    document.body.classList.toggle('hide-original', !showOriginalEl.checked);
+    chrome.storage.local.set({ translationShowOriginal: showOriginalEl.checked });
+  });
+
+  chrome.runtime.onMessage.addListener((msg, _, respond) => {
+    switch (msg.type) {
+      case 'translationView':
+        render(msg);
+        respond({ ok: true });
+        break;
+      case 'clearTranslation':
+        render({ blocks: [] });
+        respond({ ok: true });
+        break;
+      default:
+        return false;
+    }
+    return true;
+  });
+
+  // Catch up after a reload
+  chrome.runtime.sendMessage({ type: 'getTranslationView' }, (resp) => {
+    if (!chrome.runtime.lastError && resp) render(resp);
+  });
+});
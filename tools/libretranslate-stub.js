@@ -0,0 +1,76 @@
+// ============================================================
+// RTE - LibreTranslate Stand-in Server (development only)
+//
+// Speaks the part of the LibreTranslate API that RTE uses, so
+// the LibreTranslate backend can be developed and tested without
+// a real server. "Translations" are the source text tagged with
+// the target language, e.g. "[th] Hello everyone".
+//
+// Usage: node tools/libretranslate-stub.js [--port 5000] [--api-key KEY] [--delay MS]
+// Then set the server URL in RTE Settings → General → Translation
+// to http://localhost:5000.
+// ============================================================
+
+const http = require('http');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(arg('port', 5000));
+const API_KEY = arg('api-key', '');      // When set, requests must carry this api_key
+const DELAY_MS = Number(arg('delay', 150)); // Simulated translation latency
+
+const LANGUAGES = ['en', 'th', 'ja', 'ko', 'zh', 'zt', 'vi', 'id', 'ms', 'hi', 'ar', 'fr', 'de', 'es', 'pt', 'ru', 'it', 'nl', 'pl', 'tr']
+  .map(code => ({ code, name: code, targets: [] }));
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(JSON.stringify(body));
+}
+
+// LibreTranslate accepts JSON or form-encoded bodies
+function parseBody(req, raw) {
+  if ((req.headers['content-type'] || '').includes('application/json')) return JSON.parse(raw || '{}');
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+function translate(text, source, target) {
+  return text ? `[${target}] ${text}` : '';
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') { send(res, 204, {}); return; }
+  if (req.method === 'GET' && req.url === '/languages') { send(res, 200, LANGUAGES); return; }
+  if (req.method !== 'POST' || req.url !== '/translate') { send(res, 404, { error: 'Not Found' }); return; }
+
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    let body;
+    try { body = parseBody(req, raw); } catch { send(res, 400, { error: 'Invalid request body' }); return; }
+
+    if (API_KEY && body.api_key !== API_KEY) { send(res, 403, { error: 'Invalid API key' }); return; }
+    if (body.q === undefined || body.q === null) { send(res, 400, { error: 'Invalid request: missing q parameter' }); return; }
+    if (!body.target) { send(res, 400, { error: 'Invalid request: missing target parameter' }); return; }
+
+    const source = body.source || 'auto';
+    setTimeout(() => {
+      const translatedText = Array.isArray(body.q)
+        ? body.q.map(t => translate(t, source, body.target))
+        : translate(body.q, source, body.target);
+      console.log(`[stub] ${source} → ${body.target}: ${Array.isArray(body.q) ? body.q.length + ' texts' : '1 text'}`);
+      send(res, 200, { translatedText });
+    }, DELAY_MS);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`LibreTranslate stand-in listening on http://localhost:${PORT}${API_KEY ? ' (api key required)' : ''}`);
+});